@@ -1,35 +1,87 @@
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const { hasPermission } = require('../utils/permissions');
 
 const prisma = new PrismaClient();
 
-const authenticateToken = async (req, res, next) => {
+const USER_SELECT = {
+  id: true,
+  email: true,
+  role: true,
+  isActive: true,
+  emailVerified: true,
+  staffRole: { select: { id: true, name: true, permissions: true } }
+};
+
+// Shared JWT + session check used by the authenticate* middlewares
+const authenticate = ({ adminOnly = false, optional = false } = {}) => async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
     if (!token) {
+      if (optional) {
+        return next();
+      }
       return res.status(401).json({ message: 'Access token required' });
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Every access token belongs to a server-side session (or audited impersonation) that can be revoked
+    const session = decoded.imp
+      ? await prisma.impersonationSession.findUnique({
+        where: { id: decoded.imp },
+        select: { customerId: true, adminId: true, endedAt: true, expiresAt: true }
+      })
+      : decoded.sid && await prisma.session.findUnique({
+        where: { id: decoded.sid },
+        select: { userId: true, revokedAt: true, expiresAt: true }
+      });
+
+    const sessionUserId = session && (decoded.imp ? session.customerId : session.userId);
+    const sessionEnded = session && (decoded.imp ? session.endedAt : session.revokedAt);
+
+    if (!session || sessionUserId !== decoded.userId || sessionEnded || session.expiresAt < new Date()) {
+      return res.status(401).json({ message: 'Session expired or revoked', code: 'SESSION_REVOKED' });
+    }
+
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
-      select: { id: true, email: true, role: true, isActive: true }
+      select: USER_SELECT
     });
 
     if (!user || !user.isActive) {
       return res.status(401).json({ message: 'Invalid or inactive user' });
     }
 
+    if (adminOnly && user.role !== 'ADMIN' && user.role !== 'SUPER_ADMIN') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    if (decoded.imp) {
+      // Impersonation tokens only ever act as customers
+      if (adminOnly || user.role !== 'CUSTOMER') {
+        return res.status(403).json({ message: 'Admin access required' });
+      }
+      req.impersonation = { id: decoded.imp, adminId: session.adminId };
+      res.set('X-Impersonated-By', session.adminId);
+    }
+
     req.user = user;
     req.userId = user.id;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Access token expired', code: 'TOKEN_EXPIRED' });
+    }
     return res.status(403).json({ message: 'Invalid token' });
   }
 };
 
+const authenticateToken = authenticate();
+
 const requireAdmin = (req, res, next) => {
   if (req.user.role !== 'ADMIN' && req.user.role !== 'SUPER_ADMIN') {
     return res.status(403).json({ message: 'Admin access required' });
@@ -44,72 +96,47 @@ const requireSuperAdmin = (req, res, next) => {
   next();
 };
 
-// Middleware for user authentication (customers)
-const authenticateUser = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({ message: 'Access token required' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: { id: true, email: true, role: true, isActive: true }
+// Require every listed permission (SUPER_ADMIN always passes)
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      message: `Missing permission: ${missing.join(', ')}`,
+      code: 'FORBIDDEN'
     });
-
-    if (!user || !user.isActive) {
-      return res.status(401).json({ message: 'Invalid or inactive user' });
-    }
-
-    req.user = user;
-    req.userId = user.id;
-    next();
-  } catch (error) {
-    return res.status(403).json({ message: 'Invalid token' });
   }
+  next();
 };
 
-// Middleware for admin authentication
-const authenticateAdmin = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({ message: 'Access token required' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: { id: true, email: true, role: true, isActive: true }
+// Block actions support staff must not take while signed in as a customer
+const forbidImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    return res.status(403).json({
+      message: 'This action is not allowed while impersonating a customer',
+      code: 'IMPERSONATION_FORBIDDEN'
     });
+  }
+  next();
+};
 
-    if (!user || !user.isActive) {
-      return res.status(401).json({ message: 'Invalid or inactive user' });
-    }
+// Middleware for user authentication (customers)
+const authenticateUser = authenticate();
 
-    if (user.role !== 'ADMIN' && user.role !== 'SUPER_ADMIN') {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
+// Attaches the user when a token is sent, otherwise continues as a guest
+const optionalAuthenticateUser = authenticate({ optional: true });
 
-    req.user = user;
-    req.userId = user.id;
-    next();
-  } catch (error) {
-    return res.status(403).json({ message: 'Invalid token' });
-  }
-};
+// Middleware for admin authentication
+const authenticateAdmin = authenticate({ adminOnly: true });
 
 module.exports = {
   authenticateToken,
   authenticateUser,
+  optionalAuthenticateUser,
   authenticateAdmin,
   requireAdmin,
   requireSuperAdmin,
+  requirePermission,
+  forbidImpersonation,
   // Export as default for backward compatibility
   auth: authenticateUser
 };
\ No newline at end of file
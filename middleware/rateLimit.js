@@ -0,0 +1,49 @@
+const { rateLimit } = require('express-rate-limit');
+const PrismaRateLimitStore = require('../utils/rateLimitStore');
+
+// General API limiter (in-memory, per IP)
+const apiLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: parseInt(process.env.API_RATE_LIMIT) || 1000,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { message: 'Too many requests. Please try again later.', code: 'RATE_LIMITED' }
+});
+
+// Password guessing limiter for login endpoints (per IP, stored in the database)
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: parseInt(process.env.LOGIN_RATE_LIMIT) || 20,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  store: new PrismaRateLimitStore({ prefix: 'login-ip:' }),
+  message: { message: 'Too many login attempts. Please try again later.', code: 'RATE_LIMITED' }
+});
+
+// Limits emails sent by forgot-password / resend-verification (per IP)
+const emailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  limit: parseInt(process.env.EMAIL_RATE_LIMIT) || 10,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  store: new PrismaRateLimitStore({ prefix: 'email-ip:' }),
+  message: { message: 'Too many requests. Please try again later.', code: 'RATE_LIMITED' }
+});
+
+// Guest order lookup is keyed by order number + email, so stop enumeration (per IP)
+const orderLookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: parseInt(process.env.ORDER_LOOKUP_RATE_LIMIT) || 20,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  store: new PrismaRateLimitStore({ prefix: 'order-lookup-ip:' }),
+  message: { message: 'Too many requests. Please try again later.', code: 'RATE_LIMITED' }
+});
+
+module.exports = {
+  apiLimiter,
+  loginLimiter,
+  emailLimiter,
+  orderLookupLimiter
+};
@@ -1,6 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
 const dbConnection = require('../utils/database');
+const { DEFAULT_ADMIN_PERMISSIONS } = require('../utils/permissions');
 
 const prisma = dbConnection.getInstance();
 
@@ -18,12 +19,43 @@ async function main() {
       password: hashedPassword,
       firstName: 'Admin',
       lastName: 'User',
-      role: 'SUPER_ADMIN'
+      role: 'SUPER_ADMIN',
+      emailVerified: true,
+      emailVerifiedAt: new Date()
     }
   });
 
   console.log('✅ Admin user created:', admin.email);
 
+  // Create default staff roles
+  const staffRoles = [
+    {
+      name: 'Store Manager',
+      description: 'Full catalog, order and customer management',
+      permissions: DEFAULT_ADMIN_PERMISSIONS
+    },
+    {
+      name: 'Warehouse',
+      description: 'Fulfil orders and adjust stock without touching prices',
+      permissions: ['products:read', 'inventory:write', 'orders:read', 'orders:write']
+    },
+    {
+      name: 'Customer Support',
+      description: 'Look up orders and customer accounts',
+      permissions: ['products:read', 'orders:read', 'users:read', 'users:impersonate']
+    }
+  ];
+
+  for (const staffRole of staffRoles) {
+    await prisma.staffRole.upsert({
+      where: { name: staffRole.name },
+      update: {},
+      create: staffRole
+    });
+  }
+
+  console.log('✅ Staff roles created');
+
   // Create categories
   const categories = [
     {
@@ -77,6 +109,9 @@ async function main() {
       salePrice: 999,
       sku: 'SHIRT-COT-WHT-001',
       stock: 50,
+      unit: 'METRE',
+      minQuantity: 1,
+      quantityStep: 0.25,
       images: ['/assets/mens-shirt-white.jpg'],
       colors: ['White', 'Light Blue', 'Cream'],
       sizes: ['S', 'M', 'L', 'XL', 'XXL'],
@@ -93,6 +128,9 @@ async function main() {
       price: 2500,
       sku: 'PANT-WOOL-CHAR-001',
       stock: 30,
+      unit: 'METRE',
+      minQuantity: 1,
+      quantityStep: 0.25,
       images: ['/assets/mens-pants-charcoal.jpg'],
       colors: ['Charcoal', 'Navy', 'Black'],
       sizes: ['28', '30', '32', '34', '36', '38', '40'],
@@ -110,6 +148,9 @@ async function main() {
       salePrice: 7500,
       sku: 'SUIT-WOOL-NAVY-001',
       stock: 15,
+      unit: 'METRE',
+      minQuantity: 2,
+      quantityStep: 0.25,
       images: ['/assets/mens-suit-navy.jpg'],
       colors: ['Navy', 'Charcoal', 'Black'],
       sizes: ['36', '38', '40', '42', '44', '46'],
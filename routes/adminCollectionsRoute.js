@@ -0,0 +1,248 @@
+const express = require('express');
+const { Prisma } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authenticateAdmin, requirePermission } = require('../middleware/auth');
+const dbConnection = require('../utils/database');
+const { uniqueSlug } = require('../utils/slugs');
+const { validateCollectionRules } = require('../utils/collections');
+const { upload } = require('../utils/cloudinary');
+const { getImageStorage, removeStoredImage } = require('../utils/imageStorage');
+
+const router = express.Router();
+const prisma = dbConnection.getInstance();
+
+router.use(authenticateAdmin);
+
+const rulesValidator = body('rules')
+  .optional({ nullable: true })
+  .custom((rules) => {
+    const error = validateCollectionRules(rules);
+    if (error) {
+      throw new Error(error);
+    }
+    return true;
+  });
+
+// Hand-picked products must exist and not be archived
+const findMissingProducts = async (productIds) => {
+  const products = await prisma.product.findMany({
+    where: { id: { in: productIds }, archivedAt: null },
+    select: { id: true }
+  });
+  const found = new Set(products.map((product) => product.id));
+  return productIds.filter((id) => !found.has(id));
+};
+
+const replaceCollectionProducts = async (tx, collectionId, productIds) => {
+  await tx.collectionProduct.deleteMany({ where: { collectionId } });
+  await tx.collectionProduct.createMany({
+    data: productIds.map((productId, position) => ({ collectionId, productId, position }))
+  });
+};
+
+// Get all collections including inactive ones, with rules
+router.get('/', requirePermission('products:read'), async (req, res) => {
+  try {
+    const collections = await prisma.collection.findMany({
+      orderBy: [{ position: 'asc' }, { name: 'asc' }],
+      include: { _count: { select: { products: true } } }
+    });
+
+    res.json(collections);
+  } catch (error) {
+    console.error('Collections fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create collection
+router.post('/', requirePermission('collections:write'), [
+  body('name').trim().isLength({ min: 1 }),
+  body('description').optional({ nullable: true }).trim(),
+  body('bannerImage').optional({ nullable: true }).isURL(),
+  body('position').optional().isInt().toInt(),
+  body('isActive').optional().isBoolean(),
+  body('productIds').optional().isArray(),
+  body('productIds.*').isString(),
+  rulesValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, bannerImage, position, isActive, rules, productIds = [] } = req.body;
+
+    const missing = await findMissingProducts(productIds);
+    if (missing.length > 0) {
+      return res.status(400).json({ message: 'Some products were not found', productIds: missing });
+    }
+
+    const slug = await uniqueSlug(prisma, 'collection', name);
+
+    const collection = await prisma.$transaction(async (tx) => {
+      const created = await tx.collection.create({
+        data: { name, slug, description, bannerImage, position, isActive, rules: rules || undefined }
+      });
+      await replaceCollectionProducts(tx, created.id, [...new Set(productIds)]);
+      return created;
+    });
+
+    res.status(201).json({ message: 'Collection created successfully', collection });
+  } catch (error) {
+    console.error('Collection creation error:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({ message: 'Collection slug already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update collection. Send `rules: null` to drop rule-based membership.
+router.put('/:id', requirePermission('collections:write'), [
+  body('name').optional().trim().isLength({ min: 1 }),
+  body('description').optional({ nullable: true }).trim(),
+  body('bannerImage').optional({ nullable: true }).isURL(),
+  body('position').optional().isInt().toInt(),
+  body('isActive').optional().isBoolean(),
+  rulesValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const existing = await prisma.collection.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    const updateData = {};
+    ['description', 'position', 'isActive'].forEach((field) => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+    if (req.body.rules !== undefined) {
+      updateData.rules = req.body.rules === null ? Prisma.DbNull : req.body.rules;
+    }
+    // Pasting a banner URL replaces any uploaded banner
+    if (req.body.bannerImage !== undefined) {
+      Object.assign(updateData, { bannerImage: req.body.bannerImage, bannerStorage: null, bannerStorageKey: null });
+    }
+    if (req.body.name && req.body.name !== existing.name) {
+      updateData.name = req.body.name;
+      updateData.slug = await uniqueSlug(prisma, 'collection', req.body.name, { excludeId: id });
+    }
+
+    const collection = await prisma.collection.update({ where: { id }, data: updateData });
+
+    if (req.body.bannerImage !== undefined) {
+      await removeStoredImage({ storage: existing.bannerStorage, storageKey: existing.bannerStorageKey });
+    }
+
+    res.json({ message: 'Collection updated successfully', collection });
+  } catch (error) {
+    console.error('Collection update error:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({ message: 'Collection slug already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the hand-picked products, in display order
+router.put('/:id/products', requirePermission('collections:write'), [
+  body('productIds').isArray(),
+  body('productIds.*').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const productIds = [...new Set(req.body.productIds)];
+
+    const collection = await prisma.collection.findUnique({ where: { id }, select: { id: true } });
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    const missing = await findMissingProducts(productIds);
+    if (missing.length > 0) {
+      return res.status(400).json({ message: 'Some products were not found', productIds: missing });
+    }
+
+    await prisma.$transaction((tx) => replaceCollectionProducts(tx, id, productIds));
+
+    res.json({ message: 'Collection products updated successfully', productIds });
+  } catch (error) {
+    console.error('Collection products update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upload a banner image, multipart field `banner`
+router.post('/:id/banner', requirePermission('collections:write'), (req, res, next) => {
+  upload.single('banner')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  let stored = null;
+  try {
+    const { id } = req.params;
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No banner uploaded' });
+    }
+
+    const existing = await prisma.collection.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    const storage = getImageStorage();
+    const { url, key } = await storage.save(req.file, 'collections');
+    stored = { storage: storage.name, storageKey: key };
+
+    const collection = await prisma.collection.update({
+      where: { id },
+      data: { bannerImage: url, bannerStorage: storage.name, bannerStorageKey: key }
+    });
+
+    await removeStoredImage({ storage: existing.bannerStorage, storageKey: existing.bannerStorageKey });
+
+    res.json({ message: 'Banner uploaded successfully', collection });
+  } catch (error) {
+    console.error('Banner upload error:', error);
+    if (stored) {
+      await removeStoredImage(stored);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete collection
+router.delete('/:id', requirePermission('collections:write'), async (req, res) => {
+  try {
+    const collection = await prisma.collection.delete({ where: { id: req.params.id } });
+
+    await removeStoredImage({ storage: collection.bannerStorage, storageKey: collection.bannerStorageKey });
+
+    res.json({ message: 'Collection deleted successfully' });
+  } catch (error) {
+    console.error('Collection deletion error:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,260 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateAdmin, requirePermission } = require('../middleware/auth');
+const dbConnection = require('../utils/database');
+const { BASE_CURRENCY, normalizeCurrencyCode, isValidCurrencyCode } = require('../utils/currency');
+const { loadProductStates, recordProductRevisions } = require('../utils/revisions');
+
+const router = express.Router();
+const prisma = dbConnection.getInstance();
+
+router.use(authenticateAdmin);
+
+const MAX_PRICES_PER_REQUEST = 500;
+
+const currencyValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1 }),
+    field('symbol').trim().isLength({ min: 1, max: 5 }),
+    field('rate').isFloat({ gt: 0 }).toFloat(),
+    body('decimals').optional().isInt({ min: 0, max: 4 }).toInt(),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+const findCurrency = (code) => prisma.currency.findUnique({ where: { code: normalizeCurrencyCode(code) } });
+
+// Get all currencies, including inactive ones (admin only)
+router.get('/', requirePermission('products:read'), async (req, res) => {
+  try {
+    const currencies = await prisma.currency.findMany({
+      orderBy: { code: 'asc' },
+      include: { _count: { select: { productPrices: true } } }
+    });
+
+    res.json({ base: BASE_CURRENCY, currencies });
+  } catch (error) {
+    console.error('Currencies fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a currency (admin only). `rate` is rupees per one unit, e.g. 83.2 for USD.
+router.post('/', requirePermission('currencies:write'), [
+  body('code').trim().toUpperCase().custom((code) => {
+    if (!isValidCurrencyCode(code)) {
+      throw new Error('code must be a three-letter ISO 4217 code');
+    }
+    if (code === BASE_CURRENCY) {
+      throw new Error(`${BASE_CURRENCY} is the base currency`);
+    }
+    return true;
+  }),
+  ...currencyValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { code, name, symbol, rate, decimals, isActive } = req.body;
+
+    const currency = await prisma.currency.create({
+      data: { code, name, symbol, rate, decimals, isActive }
+    });
+
+    res.status(201).json({ message: 'Currency created successfully', currency });
+  } catch (error) {
+    console.error('Currency creation error:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({ message: 'Currency already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a currency's exchange rate, display details, or disable it (admin only)
+router.put('/:code', requirePermission('currencies:write'), currencyValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await findCurrency(req.params.code);
+    if (!existing) {
+      return res.status(404).json({ message: 'Currency not found' });
+    }
+
+    const updateData = {};
+    ['name', 'symbol', 'rate', 'decimals', 'isActive'].forEach((field) => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    const currency = await prisma.currency.update({
+      where: { id: existing.id },
+      data: updateData
+    });
+
+    res.json({ message: 'Currency updated successfully', currency });
+  } catch (error) {
+    console.error('Currency update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a currency and its fixed prices (admin only). Past orders keep their recorded currency and rate.
+router.delete('/:code', requirePermission('currencies:write'), async (req, res) => {
+  try {
+    const existing = await findCurrency(req.params.code);
+    if (!existing) {
+      return res.status(404).json({ message: 'Currency not found' });
+    }
+
+    await prisma.currency.delete({ where: { id: existing.id } });
+
+    res.json({ message: 'Currency deleted successfully' });
+  } catch (error) {
+    console.error('Currency deletion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Fixed product prices in a currency (admin only)
+router.get('/:code/prices', requirePermission('products:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const currency = await findCurrency(req.params.code);
+    if (!currency) {
+      return res.status(404).json({ message: 'Currency not found' });
+    }
+
+    const where = { currencyId: currency.id };
+    const [prices, total] = await Promise.all([
+      prisma.productCurrencyPrice.findMany({
+        where,
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        orderBy: { updatedAt: 'desc' },
+        include: { product: { select: { id: true, name: true, sku: true, price: true } } }
+      }),
+      prisma.productCurrencyPrice.count({ where })
+    ]);
+
+    res.json({
+      currency,
+      prices: prices.map(({ price, updatedAt, product }) => ({
+        productId: product.id,
+        name: product.name,
+        sku: product.sku,
+        basePrice: product.price,
+        price,
+        updatedAt
+      })),
+      pagination: {
+        total,
+        pages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Currency prices fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set fixed product prices in a currency (admin only). `price: null` goes back to
+// converting the rupee price at the exchange rate.
+router.put('/:code/prices', requirePermission('currencies:write'), [
+  body('prices').isArray({ min: 1, max: MAX_PRICES_PER_REQUEST }),
+  body('prices.*.productId').isString(),
+  body('prices.*.price').optional({ nullable: true }).isFloat({ gt: 0 }).toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currency = await findCurrency(req.params.code);
+    if (!currency) {
+      return res.status(404).json({ message: 'Currency not found' });
+    }
+
+    const { prices } = req.body;
+    const productIds = [...new Set(prices.map((entry) => entry.productId))];
+    if (productIds.length !== prices.length) {
+      return res.status(400).json({ message: 'Each product may only appear once' });
+    }
+
+    const products = await prisma.product.findMany({
+      where: { id: { in: productIds }, archivedAt: null },
+      select: { id: true }
+    });
+    const found = new Set(products.map((product) => product.id));
+    const missing = productIds.filter((id) => !found.has(id));
+    if (missing.length > 0) {
+      return res.status(400).json({ message: 'Some products were not found', productIds: missing });
+    }
+
+    const cleared = prices.filter((entry) => entry.price === null || entry.price === undefined);
+    const updated = prices.filter((entry) => !cleared.includes(entry));
+
+    await prisma.$transaction(async (tx) => {
+      const previous = await tx.productCurrencyPrice.findMany({
+        where: { currencyId: currency.id, productId: { in: productIds } },
+        select: { productId: true, price: true }
+      });
+      const previousPrice = new Map(previous.map((entry) => [entry.productId, entry.price]));
+
+      if (cleared.length > 0) {
+        await tx.productCurrencyPrice.deleteMany({
+          where: { currencyId: currency.id, productId: { in: cleared.map((entry) => entry.productId) } }
+        });
+      }
+      for (const { productId, price } of updated) {
+        await tx.productCurrencyPrice.upsert({
+          where: { productId_currencyId: { productId, currencyId: currency.id } },
+          create: { productId, currencyId: currency.id, price },
+          update: { price }
+        });
+      }
+
+      // Fixed prices go on each product's revision history as { currencyPrices: { USD: { from, to } } }
+      const related = new Map();
+      prices.forEach(({ productId, price }) => {
+        const from = previousPrice.has(productId) ? previousPrice.get(productId) : null;
+        const to = price === undefined ? null : price;
+        if (from !== to) {
+          related.set(productId, { currencyPrices: { [currency.code]: { from, to } } });
+        }
+      });
+      if (related.size > 0) {
+        const states = await loadProductStates(tx, [...related.keys()]);
+        await recordProductRevisions(tx, {
+          before: states,
+          after: states,
+          action: 'currency-price',
+          actorId: req.user.id,
+          related
+        });
+      }
+    }, { timeout: 60000 });
+
+    res.json({
+      message: 'Currency prices updated successfully',
+      updated: updated.length,
+      cleared: cleared.length
+    });
+  } catch (error) {
+    console.error('Currency prices update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,35 @@
 const express = require('express');
-const { authenticateAdmin } = require('../middleware/auth');
+const { authenticateAdmin, requireSuperAdmin, requirePermission } = require('../middleware/auth');
 const dbConnection = require('../utils/database');
+const {
+  revokeUserSessions,
+  revokeUnverifiedStaffSessions,
+  createImpersonationSession,
+  endImpersonationSession
+} = require('../utils/session');
+const { getSetting, setSetting } = require('../utils/settings');
+const { hasPermission } = require('../utils/permissions');
+const { isLastActiveSuperAdmin } = require('../utils/staff');
+const { roundQuantity, decimalsToNumbers } = require('../utils/quantity');
+const { getDescendantIds } = require('../utils/categories');
+const { toCsv, parseCsv } = require('../utils/csv');
+const {
+  PRODUCT_CSV_COLUMNS,
+  MAX_IMPORT_ROWS,
+  productToCsvRow,
+  planProductImport
+} = require('../utils/productCsv');
+const { replaceProductImageUrls } = require('../utils/productImages');
+const { removeStoredImage } = require('../utils/imageStorage');
+const { runCoPurchaseRefresh } = require('../utils/recommendations');
+const {
+  recordProductRevision,
+  recordProductRevisions,
+  trackProductChange,
+  loadProductStates,
+  revertData
+} = require('../utils/revisions');
+const { recordSlugChange } = require('../utils/slugs');
 
 const router = express.Router();
 const prisma = dbConnection.getInstance();
@@ -9,7 +38,7 @@ const prisma = dbConnection.getInstance();
 router.use(authenticateAdmin);
 
 // Enhanced Dashboard Stats with Analytics
-router.get('/dashboard/stats', async (req, res) => {
+router.get('/dashboard/stats', requirePermission('analytics:read'), async (req, res) => {
   try {
     const [
       totalUsers,
@@ -30,8 +59,8 @@ router.get('/dashboard/stats', async (req, res) => {
       prisma.user.count({ where: { role: 'CUSTOMER' } }),
       prisma.user.count({ where: { role: 'CUSTOMER', isActive: true } }),
       prisma.product.count(),
-      prisma.product.count({ where: { isActive: true } }),
-      prisma.product.count({ where: { stock: { lte: 10 }, isActive: true } }),
+      prisma.product.count({ where: { isActive: true, archivedAt: null } }),
+      prisma.product.count({ where: { stock: { lte: 10 }, isActive: true, archivedAt: null } }),
       prisma.order.count(),
       prisma.order.count({ where: { status: 'PENDING' } }),
       prisma.order.aggregate({
@@ -92,9 +121,9 @@ router.get('/dashboard/stats', async (req, res) => {
         });
         return {
           ...product,
-          totalSold: item._sum.quantity,
+          totalSold: Number(item._sum.quantity),
           orderCount: item._count.productId,
-          revenue: item._sum.quantity * product.price
+          revenue: Number(item._sum.quantity) * product.price
         };
       })
     );
@@ -105,7 +134,7 @@ router.get('/dashboard/stats', async (req, res) => {
     const orderGrowth = 18;
     const revenueGrowth = 25;
 
-    res.json({
+    res.json(decimalsToNumbers({
       stats: {
         totalUsers,
         activeUsers,
@@ -130,7 +159,7 @@ router.get('/dashboard/stats', async (req, res) => {
         lowStock: lowStockProducts,
         pendingOrders: pendingOrders
       }
-    });
+    }));
   } catch (error) {
     console.error('Dashboard stats error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -138,7 +167,7 @@ router.get('/dashboard/stats', async (req, res) => {
 });
 
 // Users Management
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users:read'), async (req, res) => {
   try {
     const { page = 1, limit = 10, search, role } = req.query;
     const skip = (page - 1) * limit;
@@ -189,40 +218,224 @@ router.get('/users', async (req, res) => {
   }
 });
 
-// Update User Status
-router.patch('/users/:id/status', async (req, res) => {
+// Locked Accounts (too many failed logins)
+router.get('/users/locked', requirePermission('users:read'), async (req, res) => {
+  try {
+    const users = await prisma.user.findMany({
+      where: { lockedUntil: { gt: new Date() } },
+      orderBy: { lockedUntil: 'desc' },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        role: true,
+        failedLoginAttempts: true,
+        lastFailedLoginAt: true,
+        lockedUntil: true
+      }
+    });
+
+    res.json({ users });
+  } catch (error) {
+    console.error('Locked users fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unlock Account
+router.post('/users/:id/unlock', requirePermission('users:manage'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { isActive } = req.body;
 
     const user = await prisma.user.update({
       where: { id },
-      data: { isActive },
-      select: { id: true, email: true, isActive: true }
+      data: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null },
+      select: { id: true, email: true, lockedUntil: true }
     });
 
-    res.json({ message: 'User status updated', user });
+    res.json({ message: 'User unlocked', user });
+  } catch (error) {
+    console.error('User unlock error:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update User Status
+router.patch('/users/:id/status', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isActive } = req.body;
+
+    const result = await prisma.$transaction(async (tx) => {
+      const target = await tx.user.findUnique({ where: { id }, select: { role: true } });
+      if (!target) {
+        return { status: 404, body: { message: 'User not found' } };
+      }
+
+      // Staff accounts are managed through /api/admin/staff
+      if (target.role !== 'CUSTOMER' && req.user.role !== 'SUPER_ADMIN') {
+        return { status: 403, body: { message: 'Super admin access required to change staff accounts' } };
+      }
+
+      if (!isActive && await isLastActiveSuperAdmin(tx, id)) {
+        return { status: 400, body: { message: 'Cannot deactivate the last active super admin' } };
+      }
+
+      const user = await tx.user.update({
+        where: { id },
+        data: { isActive },
+        select: { id: true, email: true, isActive: true }
+      });
+
+      return { status: 200, body: { message: 'User status updated', user } };
+    }, { isolationLevel: 'Serializable' });
+
+    // Deactivated users are signed out everywhere immediately
+    if (result.status === 200 && !result.body.user.isActive) {
+      await revokeUserSessions(id);
+    }
+
+    res.status(result.status).json(result.body);
   } catch (error) {
     console.error('User status update error:', error);
+    if (error.code === 'P2034') {
+      return res.status(409).json({ message: 'Conflicting user change in progress. Please retry.' });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Products Management
-router.get('/products', async (req, res) => {
+// Impersonate Customer (support) - issues a short-lived, audited customer token
+router.post('/users/:id/impersonate', requirePermission('users:impersonate'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (reason.length < 10) {
+      return res.status(400).json({ message: 'A reason of at least 10 characters is required' });
+    }
+
+    const customer = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, email: true, firstName: true, lastName: true, role: true, isActive: true }
+    });
+
+    if (!customer) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (customer.role !== 'CUSTOMER' || !customer.isActive) {
+      return res.status(400).json({ message: 'Only active customer accounts can be impersonated' });
+    }
+
+    const { impersonation, token } = await createImpersonationSession({
+      admin: req.user,
+      customer,
+      reason,
+      req
+    });
+
+    res.status(201).json({
+      message: 'Impersonation started',
+      token,
+      impersonation: {
+        id: impersonation.id,
+        expiresAt: impersonation.expiresAt,
+        reason: impersonation.reason
+      },
+      user: {
+        id: customer.id,
+        email: customer.email,
+        firstName: customer.firstName,
+        lastName: customer.lastName,
+        role: customer.role
+      }
+    });
+  } catch (error) {
+    console.error('Impersonation start error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Impersonation Audit Log
+router.get('/impersonations', requirePermission('users:impersonate'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, category, status } = req.query;
+    const { page = 1, limit = 20, adminId, customerId } = req.query;
     const skip = (page - 1) * limit;
 
     const where = {};
-    if (search) {
-      where.OR = [
-        { name: { contains: search, mode: 'insensitive' } },
-        { sku: { contains: search, mode: 'insensitive' } }
-      ];
+    if (adminId) where.adminId = adminId;
+    if (customerId) where.customerId = customerId;
+
+    const [impersonations, total] = await Promise.all([
+      prisma.impersonationSession.findMany({
+        where,
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        orderBy: { startedAt: 'desc' },
+        include: {
+          admin: { select: { id: true, email: true, firstName: true, lastName: true } },
+          customer: { select: { id: true, email: true, firstName: true, lastName: true } }
+        }
+      }),
+      prisma.impersonationSession.count({ where })
+    ]);
+
+    res.json({
+      impersonations,
+      pagination: {
+        total,
+        pages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Impersonations fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// End Impersonation early
+router.post('/impersonations/:id/end', requirePermission('users:impersonate'), async (req, res) => {
+  try {
+    const { count } = await endImpersonationSession(req.params.id);
+    if (count === 0) {
+      return res.status(404).json({ message: 'Active impersonation not found' });
     }
-    if (category) where.categoryId = category;
-    if (status !== undefined) where.isActive = status === 'true';
+
+    res.json({ message: 'Impersonation ended' });
+  } catch (error) {
+    console.error('Impersonation end error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Filters shared by the product list and its CSV export
+const buildProductWhere = async ({ search, category, status }) => {
+  const where = { archivedAt: null };
+  if (search) {
+    where.OR = [
+      { name: { contains: search, mode: 'insensitive' } },
+      { sku: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+  if (category) where.categoryId = { in: await getDescendantIds(prisma, category) };
+  if (status !== undefined) where.isActive = status === 'true';
+  return where;
+};
+
+// Products Management
+router.get('/products', requirePermission('products:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const where = await buildProductWhere(req.query);
 
     const [products, total] = await Promise.all([
       prisma.product.findMany({
@@ -238,7 +451,7 @@ router.get('/products', async (req, res) => {
       prisma.product.count({ where })
     ]);
 
-    res.json({
+    res.json(decimalsToNumbers({
       products,
       pagination: {
         total,
@@ -246,15 +459,123 @@ router.get('/products', async (req, res) => {
         currentPage: parseInt(page),
         limit: parseInt(limit)
       }
-    });
+    }));
   } catch (error) {
     console.error('Products fetch error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Export the filtered product list as CSV (same filters as the list, no paging)
+router.get('/products/export', requirePermission('products:read'), async (req, res) => {
+  try {
+    const where = await buildProductWhere(req.query);
+
+    const products = await prisma.product.findMany({
+      where,
+      orderBy: { sku: 'asc' },
+      include: { category: { select: { slug: true } } }
+    });
+
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(toCsv(PRODUCT_CSV_COLUMNS, products.map(productToCsvRow)));
+  } catch (error) {
+    console.error('Products export error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Import products from CSV, upserting by SKU. Send the file as a text/csv body
+// (or JSON `{ csv }`). Runs as a dry-run unless ?commit=true, and only commits
+// when every row is valid.
+router.post('/products/import', requirePermission('products:write'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    const text = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+    if (!text) {
+      return res.status(400).json({ message: 'CSV content is required' });
+    }
+
+    const { headers, records } = parseCsv(text);
+    const unknownColumns = headers.filter((header) => !PRODUCT_CSV_COLUMNS.includes(header));
+    if (!headers.includes('sku') || unknownColumns.length > 0) {
+      return res.status(400).json({
+        message: 'CSV header must include sku and only known columns',
+        columns: PRODUCT_CSV_COLUMNS,
+        unknownColumns
+      });
+    }
+    if (records.length === 0) {
+      return res.status(400).json({ message: 'CSV has no product rows' });
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `CSV imports are limited to ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    const plan = await planProductImport(prisma, records);
+
+    // Same split as bulk-update: stock changes need inventory access
+    if (plan.some((row) => row.data.stock !== undefined) && !hasPermission(req.user, 'inventory:write')) {
+      return res.status(403).json({ message: 'Missing permission: inventory:write', code: 'FORBIDDEN' });
+    }
+
+    const invalid = plan.filter((row) => row.errors.length > 0).length;
+    const report = {
+      summary: {
+        total: plan.length,
+        create: plan.filter((row) => row.action === 'create').length,
+        update: plan.filter((row) => row.action === 'update').length,
+        invalid
+      },
+      rows: plan.map(({ row, sku, action, errors, warnings }) => ({ row, sku, action, errors, warnings }))
+    };
+
+    if (req.query.commit !== 'true') {
+      return res.json({ dryRun: true, ...report });
+    }
+    if (invalid > 0) {
+      return res.status(400).json({ dryRun: false, message: 'Import has invalid rows; nothing was saved', ...report });
+    }
+
+    const removedImages = [];
+    await prisma.$transaction(async (tx) => {
+      for (const { action, productId, sku, data } of plan) {
+        const { images, ...fields } = data;
+
+        if (action === 'create') {
+          const product = await tx.product.create({ data: { ...fields, sku, images: images || [] } });
+          if (images && images.length > 0) {
+            await tx.productImage.createMany({
+              data: images.map((url, position) => ({ productId: product.id, url, position, isPrimary: position === 0 }))
+            });
+          }
+          await recordProductRevision(tx, { productId: product.id, before: null, after: product, action: 'import', actorId: req.user.id });
+        } else {
+          await trackProductChange(tx, { productId, action: 'import', actorId: req.user.id }, async () => {
+            await tx.product.update({ where: { id: productId }, data: fields });
+            if (images) {
+              removedImages.push(...await replaceProductImageUrls(tx, productId, images));
+            }
+          });
+        }
+      }
+    }, { timeout: 60000 });
+
+    await Promise.all(removedImages.map(removeStoredImage));
+
+    res.json({ dryRun: false, message: 'Products imported successfully', ...report });
+  } catch (error) {
+    console.error('Products import error:', error);
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'A product with the same SKU or slug was saved meanwhile. Please retry.' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Orders Management
-router.get('/orders', async (req, res) => {
+router.get('/orders', requirePermission('orders:read'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status, search } = req.query;
     const skip = (page - 1) * limit;
@@ -264,7 +585,8 @@ router.get('/orders', async (req, res) => {
     if (search) {
       where.OR = [
         { orderNumber: { contains: search, mode: 'insensitive' } },
-        { user: { email: { contains: search, mode: 'insensitive' } } }
+        { user: { email: { contains: search, mode: 'insensitive' } } },
+        { guestEmail: { contains: search, mode: 'insensitive' } }
       ];
     }
 
@@ -285,7 +607,7 @@ router.get('/orders', async (req, res) => {
       prisma.order.count({ where })
     ]);
 
-    res.json({
+    res.json(decimalsToNumbers({
       orders,
       pagination: {
         total,
@@ -293,7 +615,7 @@ router.get('/orders', async (req, res) => {
         currentPage: parseInt(page),
         limit: parseInt(limit)
       }
-    });
+    }));
   } catch (error) {
     console.error('Orders fetch error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -301,11 +623,15 @@ router.get('/orders', async (req, res) => {
 });
 
 // Update Order Status
-router.patch('/orders/:id/status', async (req, res) => {
+router.patch('/orders/:id/status', requirePermission('orders:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
 
+    if (status === 'REFUNDED' && !hasPermission(req.user, 'orders:refund')) {
+      return res.status(403).json({ message: 'Missing permission: orders:refund', code: 'FORBIDDEN' });
+    }
+
     const order = await prisma.order.update({
       where: { id },
       data: { status },
@@ -322,7 +648,7 @@ router.patch('/orders/:id/status', async (req, res) => {
 });
 
 // Get Single Order Details
-router.get('/orders/:id', async (req, res) => {
+router.get('/orders/:id', requirePermission('orders:read'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -359,7 +685,7 @@ router.get('/orders/:id', async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    res.json(order);
+    res.json(decimalsToNumbers(order));
   } catch (error) {
     console.error('Order fetch error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -367,7 +693,7 @@ router.get('/orders/:id', async (req, res) => {
 });
 
 // Get Single User Details
-router.get('/users/:id', async (req, res) => {
+router.get('/users/:id', requirePermission('users:read'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -412,15 +738,211 @@ router.get('/users/:id', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    res.json(user);
+    res.json(decimalsToNumbers(user));
   } catch (error) {
     console.error('User fetch error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Archived Products
+router.get('/products/archived', requirePermission('products:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search } = req.query;
+    const skip = (page - 1) * limit;
+
+    const where = { archivedAt: { not: null } };
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { sku: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    const [products, total] = await Promise.all([
+      prisma.product.findMany({
+        where,
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        orderBy: { archivedAt: 'desc' },
+        include: {
+          category: { select: { name: true, archivedAt: true } },
+          _count: { select: { orderItems: true, reviews: true, wishlistItems: true } }
+        }
+      }),
+      prisma.product.count({ where })
+    ]);
+
+    res.json(decimalsToNumbers({
+      products,
+      pagination: {
+        total,
+        pages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    }));
+  } catch (error) {
+    console.error('Archived products fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore Archived Product
+router.post('/products/:id/restore', requirePermission('products:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const product = await prisma.product.findUnique({
+      where: { id },
+      include: { category: { select: { name: true, archivedAt: true } } }
+    });
+    if (!product || !product.archivedAt) {
+      return res.status(404).json({ message: 'Archived product not found' });
+    }
+    if (product.category.archivedAt) {
+      return res.status(400).json({ message: `Restore the category ${product.category.name} first` });
+    }
+
+    const restored = await prisma.$transaction((tx) => {
+      return trackProductChange(tx, { productId: id, action: 'restore', actorId: req.user.id }, () => {
+        return tx.product.update({ where: { id }, data: { archivedAt: null } });
+      });
+    });
+
+    res.json(decimalsToNumbers({ message: 'Product restored successfully', product: restored }));
+  } catch (error) {
+    console.error('Product restore error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Permanently Delete Archived Product (only when no orders, reviews or wishlists reference it)
+router.delete('/products/:id/purge', requirePermission('products:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await prisma.$transaction(async (tx) => {
+      const product = await tx.product.findUnique({
+        where: { id },
+        include: {
+          productImages: true,
+          _count: { select: { orderItems: true, reviews: true, wishlistItems: true } }
+        }
+      });
+      if (!product || !product.archivedAt) {
+        return { status: 404, body: { message: 'Archived product not found' } };
+      }
+
+      const { orderItems, reviews, wishlistItems } = product._count;
+      if (orderItems > 0 || reviews > 0 || wishlistItems > 0) {
+        return {
+          status: 409,
+          body: { message: 'Product is still referenced and cannot be purged', orderItems, reviews, wishlistItems }
+        };
+      }
+
+      await tx.product.delete({ where: { id } });
+      return { status: 200, body: { message: 'Product purged successfully' }, images: product.productImages };
+    }, { isolationLevel: 'Serializable' });
+
+    if (result.images) {
+      await Promise.all(result.images.map(removeStoredImage));
+    }
+
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Product purge error:', error);
+    if (error.code === 'P2034') {
+      return res.status(409).json({ message: 'Conflicting product change in progress. Please retry.' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Product Change History
+router.get('/products/:id/revisions', requirePermission('products:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20, field } = req.query;
+    const skip = (page - 1) * limit;
+
+    // ?field=price narrows the history to revisions that touched that field
+    const where = { productId: id };
+    if (field) where.fields = { has: field };
+
+    const [revisions, total] = await Promise.all([
+      prisma.productRevision.findMany({
+        where,
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' },
+        select: {
+          id: true,
+          action: true,
+          fields: true,
+          changes: true,
+          createdAt: true,
+          actor: { select: { id: true, email: true, firstName: true, lastName: true } }
+        }
+      }),
+      prisma.productRevision.count({ where })
+    ]);
+
+    res.json({
+      revisions,
+      pagination: {
+        total,
+        pages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Product revisions fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revert a product to the state it had after a revision. Stock, images and
+// archiving are left as they are; the revert itself is recorded as a revision.
+router.post('/products/:id/revisions/:revisionId/revert', requirePermission('products:write'), async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+
+    const revision = await prisma.productRevision.findFirst({ where: { id: revisionId, productId: id } });
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    const data = revertData(revision);
+
+    const product = await prisma.$transaction(async (tx) => {
+      const current = await tx.product.findUnique({ where: { id }, select: { slug: true } });
+      if (data.slug) {
+        await recordSlugChange(tx, 'product', id, current.slug, data.slug);
+      }
+
+      return trackProductChange(tx, { productId: id, action: 'revert', actorId: req.user.id }, () => {
+        return tx.product.update({ where: { id }, data });
+      });
+    });
+
+    res.json(decimalsToNumbers({ message: 'Product reverted successfully', product, revertedTo: revision.id }));
+  } catch (error) {
+    console.error('Product revert error:', error);
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'Another product now uses this revision\'s SKU or slug' });
+    }
+    if (error.code === 'P2003') {
+      return res.status(409).json({ message: 'The category in this revision no longer exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get Single Product Details
-router.get('/products/:id', async (req, res) => {
+router.get('/products/:id', requirePermission('products:read'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -469,7 +991,7 @@ router.get('/products/:id', async (req, res) => {
       ? product.reviews.reduce((sum, review) => sum + review.rating, 0) / product.reviews.length
       : 0;
 
-    res.json({ ...product, avgRating });
+    res.json(decimalsToNumbers({ ...product, avgRating }));
   } catch (error) {
     console.error('Product fetch error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -477,7 +999,7 @@ router.get('/products/:id', async (req, res) => {
 });
 
 // Analytics Routes
-router.get('/analytics/sales', async (req, res) => {
+router.get('/analytics/sales', requirePermission('analytics:read'), async (req, res) => {
   try {
     const { period = '30d' } = req.query;
     
@@ -514,6 +1036,57 @@ router.get('/analytics/sales', async (req, res) => {
   }
 });
 
+// Search Analytics: most searched queries and searches that found nothing
+router.get('/analytics/search', requirePermission('analytics:read'), async (req, res) => {
+  try {
+    const { period = '30d' } = req.query;
+    const days = { '7d': 7, '30d': 30, '90d': 90 }[period] || 30;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const where = { createdAt: { gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } };
+
+    const [totalSearches, zeroResultSearches, topQueries, zeroResultQueries] = await Promise.all([
+      prisma.searchQuery.count({ where }),
+      prisma.searchQuery.count({ where: { ...where, resultCount: 0 } }),
+      prisma.searchQuery.groupBy({
+        by: ['query'],
+        where,
+        _count: { _all: true },
+        _avg: { resultCount: true },
+        orderBy: { _count: { query: 'desc' } },
+        take: limit
+      }),
+      prisma.searchQuery.groupBy({
+        by: ['query'],
+        where: { ...where, resultCount: 0 },
+        _count: { _all: true },
+        _max: { createdAt: true },
+        orderBy: { _count: { query: 'desc' } },
+        take: limit
+      })
+    ]);
+
+    res.json({
+      period,
+      totalSearches,
+      zeroResultSearches,
+      zeroResultRate: totalSearches ? Math.round((zeroResultSearches / totalSearches) * 1000) / 10 : 0,
+      topQueries: topQueries.map((group) => ({
+        query: group.query,
+        searches: group._count._all,
+        averageResults: Math.round(group._avg.resultCount * 10) / 10
+      })),
+      zeroResultQueries: zeroResultQueries.map((group) => ({
+        query: group.query,
+        searches: group._count._all,
+        lastSearchedAt: group._max.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Search analytics error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Bulk Actions
 router.patch('/products/bulk-update', async (req, res) => {
   try {
@@ -531,17 +1104,54 @@ router.patch('/products/bulk-update', async (req, res) => {
         updateData = { price: parseFloat(value) };
         break;
       case 'updateStock':
-        updateData = { stock: parseInt(value) };
+        updateData = { stock: roundQuantity(parseFloat(value)) };
         break;
       default:
         return res.status(400).json({ message: 'Invalid action' });
     }
 
-    await prisma.product.updateMany({
-      where: { id: { in: productIds } },
-      data: updateData
-    });
+    // Stock adjustments are warehouse work; everything else edits the catalog
+    const permission = action === 'updateStock' ? 'inventory:write' : 'products:write';
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ message: `Missing permission: ${permission}`, code: 'FORBIDDEN' });
+    }
 
+    const skipped = await prisma.$transaction(async (tx) => {
+      // Variant stock is the source of truth once a product has variants
+      let targetIds = productIds;
+      let skippedIds = [];
+      if (action === 'updateStock') {
+        const withVariants = await tx.product.findMany({
+          where: { id: { in: productIds }, variants: { some: { isActive: true } } },
+          select: { id: true }
+        });
+        skippedIds = withVariants.map((product) => product.id);
+        targetIds = productIds.filter((id) => !skippedIds.includes(id));
+      }
+
+      const before = await loadProductStates(tx, targetIds);
+
+      await tx.product.updateMany({
+        where: { id: { in: targetIds } },
+        data: updateData
+      });
+
+      await recordProductRevisions(tx, {
+        before,
+        after: await loadProductStates(tx, targetIds),
+        action: 'bulk-update',
+        actorId: req.user.id
+      });
+
+      return skippedIds;
+    }, { timeout: 60000 });
+
+    if (skipped.length > 0) {
+      return res.json({
+        message: `${productIds.length - skipped.length} products updated; ${skipped.length} skipped because their stock is managed by variants`,
+        skipped
+      });
+    }
     res.json({ message: `${productIds.length} products updated successfully` });
   } catch (error) {
     console.error('Bulk update error:', error);
@@ -549,4 +1159,65 @@ router.patch('/products/bulk-update', async (req, res) => {
   }
 });
 
+// Rebuild "frequently bought together" pairs now instead of waiting for the job
+router.post('/recommendations/refresh', requirePermission('products:write'), async (req, res) => {
+  try {
+    const pairs = await runCoPurchaseRefresh();
+    if (pairs === null) {
+      return res.status(409).json({ message: 'A refresh is already running. Please retry shortly.' });
+    }
+
+    res.json({ message: 'Co-purchase recommendations refreshed', pairs });
+  } catch (error) {
+    console.error('Recommendations refresh error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Security Settings (super admin only)
+router.get('/settings/security', requireSuperAdmin, async (req, res) => {
+  try {
+    res.json({
+      requireAdminTwoFactor: await getSetting('requireAdminTwoFactor')
+    });
+  } catch (error) {
+    console.error('Security settings fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put('/settings/security', requireSuperAdmin, async (req, res) => {
+  try {
+    const { requireAdminTwoFactor } = req.body;
+
+    if (typeof requireAdminTwoFactor !== 'boolean') {
+      return res.status(400).json({ message: 'requireAdminTwoFactor must be a boolean' });
+    }
+
+    // Don't let a super admin lock themselves out by requiring something they haven't set up
+    if (requireAdminTwoFactor) {
+      const self = await prisma.user.findUnique({
+        where: { id: req.userId },
+        select: { twoFactorEnabled: true }
+      });
+      if (!self.twoFactorEnabled) {
+        return res.status(400).json({ message: 'Enable two-factor authentication on your own account first' });
+      }
+    }
+
+    await setSetting('requireAdminTwoFactor', requireAdminTwoFactor);
+
+    // Sessions signed in with a password alone must go through the second factor again
+    let revokedSessions = 0;
+    if (requireAdminTwoFactor) {
+      ({ count: revokedSessions } = await revokeUnverifiedStaffSessions());
+    }
+
+    res.json({ message: 'Security settings updated', requireAdminTwoFactor, revokedSessions });
+  } catch (error) {
+    console.error('Security settings update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
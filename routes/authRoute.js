@@ -1,13 +1,43 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const dbConnection = require('../utils/database');
-const { authenticateUser } = require('../middleware/auth');
+const { authenticateUser, forbidImpersonation } = require('../middleware/auth');
+const { sendEmail, passwordResetEmail, emailVerificationEmail } = require('../utils/email');
+const {
+  generateToken,
+  hashToken,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  signTwoFactorChallengeToken
+} = require('../utils/tokens');
+const {
+  createSession,
+  rotateSession,
+  endImpersonationSession,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+} = require('../utils/session');
+const { isLocked, recordFailedLogin, clearFailedLogins } = require('../utils/loginAttempts');
+const { loginLimiter, emailLimiter } = require('../middleware/rateLimit');
+const { getSetting } = require('../utils/settings');
 
 const router = express.Router();
 const prisma = dbConnection.getInstance();
 
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+const sendVerificationEmail = (user) => {
+  return sendEmail({
+    to: user.email,
+    ...emailVerificationEmail({
+      firstName: user.firstName,
+      token: signEmailVerificationToken(user)
+    })
+  });
+};
+
 // User Registration
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
@@ -45,23 +75,33 @@ router.post('/register', [
       }
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // A mail outage shouldn't block signup; the customer can request a resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (emailError) {
+      console.error('Verification email error:', emailError);
+    }
+
+    // Start a session (short-lived access token + refresh token)
+    const tokens = await createSession(user, req);
+
+    // Earlier guest checkouts can be attached via POST /api/orders/claim once the email is verified
+    const claimableGuestOrders = await prisma.order.count({
+      where: { userId: null, guestEmail: { equals: email, mode: 'insensitive' } }
+    });
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
+      claimableGuestOrders,
       user: {
         id: user.id,
         email: user.email,
         firstName: user.firstName,
         lastName: user.lastName,
         phone: user.phone,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -71,7 +111,7 @@ router.post('/register', [
 });
 
 // User Login
-router.post('/login', [
+router.post('/login', loginLimiter, [
   body('email').isEmail().normalizeEmail(),
   body('password').exists()
 ], async (req, res) => {
@@ -88,27 +128,40 @@ router.post('/login', [
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    // A locked account gets the same answer as a wrong password, whatever was sent,
+    // so the lockout can't be used to keep guessing or to find accounts. Attempts
+    // made during the lock still count against it.
+    if (isLocked(user)) {
+      await recordFailedLogin(user);
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
+      await recordFailedLogin(user);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Staff sign in through /admin/login so the two-factor step can't be skipped
+    if (user.role === 'ADMIN' || user.role === 'SUPER_ADMIN') {
+      return res.status(403).json({ message: 'Staff accounts must sign in through the admin login' });
+    }
+
+    await clearFailedLogins(user);
+
+    const tokens = await createSession(user, req);
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user.id,
         email: user.email,
         firstName: user.firstName,
         lastName: user.lastName,
         phone: user.phone,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -118,7 +171,7 @@ router.post('/login', [
 });
 
 // Admin Login (separate endpoint)
-router.post('/admin/login', [
+router.post('/admin/login', loginLimiter, [
   body('email').isEmail().normalizeEmail(),
   body('password').exists()
 ], async (req, res) => {
@@ -135,25 +188,49 @@ router.post('/admin/login', [
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Only allow admin users
-    if (user.role !== 'ADMIN' && user.role !== 'SUPER_ADMIN') {
-      return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+    // A locked account gets the same answer as a wrong password, whatever was sent,
+    // so the lockout can't be used to keep guessing or to find accounts. Attempts
+    // made during the lock still count against it.
+    if (isLocked(user)) {
+      await recordFailedLogin(user);
+      return res.status(401).json({ message: 'Invalid credentials' });
     }
 
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
+      await recordFailedLogin(user);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '1d' }
-    );
+    // Only allow admin users
+    if (user.role !== 'ADMIN' && user.role !== 'SUPER_ADMIN') {
+      return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+    }
+
+    // Two-step login: the password alone only earns a short-lived challenge token
+    if (user.twoFactorEnabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallengeToken(user)
+      });
+    }
+
+    if (await getSetting('requireAdminTwoFactor')) {
+      return res.json({
+        message: 'Two-factor authentication must be set up before signing in',
+        twoFactorSetupRequired: true,
+        challengeToken: signTwoFactorChallengeToken(user)
+      });
+    }
+
+    await clearFailedLogins(user);
+
+    const tokens = await createSession(user, req);
 
     res.json({
       message: 'Admin login successful',
-      token,
+      ...tokens,
       user: {
         id: user.id,
         email: user.email,
@@ -168,6 +245,88 @@ router.post('/admin/login', [
   }
 });
 
+// Refresh Tokens - rotate the refresh token and issue a new access token
+router.post('/refresh', [
+  body('refreshToken').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokens = await rotateSession(req.body.refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token', code: 'SESSION_REVOKED' });
+    }
+
+    res.json({ message: 'Token refreshed', ...tokens });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout - revoke the current session
+router.post('/logout', authenticateUser, async (req, res) => {
+  try {
+    if (req.impersonation) {
+      await endImpersonationSession(req.impersonation.id);
+    } else {
+      await revokeSession(req.sessionId, req.userId);
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout All Devices - revoke every session for the user
+router.post('/logout-all', authenticateUser, forbidImpersonation, async (req, res) => {
+  try {
+    const { count } = await revokeUserSessions(req.userId);
+
+    res.json({ message: 'Logged out from all devices', revokedSessions: count });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List Active Sessions
+router.get('/sessions', authenticateUser, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.userId);
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke a Single Session
+router.delete('/sessions/:id', authenticateUser, forbidImpersonation, async (req, res) => {
+  try {
+    const { count } = await revokeSession(req.params.id, req.userId);
+    if (count === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get Current User Profile
 router.get('/profile', authenticateUser, async (req, res) => {
   try {
@@ -200,6 +359,7 @@ router.get('/profile', authenticateUser, async (req, res) => {
         lastName: user.lastName,
         phone: user.phone,
         role: user.role,
+        emailVerified: user.emailVerified,
         addresses: user.addresses,
         orders: user.orders
       }
@@ -243,7 +403,8 @@ router.put('/profile', [
         firstName: user.firstName,
         lastName: user.lastName,
         phone: user.phone,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -255,6 +416,7 @@ router.put('/profile', [
 // Change Password
 router.put('/change-password', [
   authenticateUser,
+  forbidImpersonation,
   body('currentPassword').exists(),
   body('newPassword').isLength({ min: 6 })
 ], async (req, res) => {
@@ -283,6 +445,9 @@ router.put('/change-password', [
       data: { password: hashedNewPassword }
     });
 
+    // Sign out every other device; the current session stays logged in
+    await revokeUserSessions(req.userId, { exceptSessionId: req.sessionId });
+
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
     console.error('Password change error:', error);
@@ -290,4 +455,189 @@ router.put('/change-password', [
   }
 });
 
+// Verify Email using the signed link sent at registration
+router.post('/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const decoded = verifyEmailVerificationToken(req.body.token);
+    if (!decoded) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: decoded.userId } });
+
+    // The link is bound to the address it was sent to
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    if (!user.emailVerified) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { emailVerified: true, emailVerifiedAt: new Date() }
+      });
+    }
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resend Verification Email
+router.post('/resend-verification', emailLimiter, authenticateUser, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Issue a fresh reset token for `user` and email the link
+const sendPasswordReset = async (user) => {
+  const { token, tokenHash } = generateToken();
+
+  await prisma.$transaction([
+    // Only the most recent link should work
+    prisma.passwordResetToken.updateMany({
+      where: { userId: user.id, usedAt: null },
+      data: { usedAt: new Date() }
+    }),
+    prisma.passwordResetToken.create({
+      data: {
+        userId: user.id,
+        tokenHash,
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+      }
+    })
+  ]);
+
+  await sendEmail({
+    to: user.email,
+    ...passwordResetEmail({
+      firstName: user.firstName,
+      token,
+      expiresInMinutes: RESET_TOKEN_TTL_MINUTES
+    })
+  });
+};
+
+// Forgot Password - email a single-use reset link
+router.post('/forgot-password', emailLimiter, [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+
+    // Same response whether or not the account exists, so emails can't be probed
+    const genericResponse = {
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (user && user.isActive) {
+      // Not awaited: waiting on the mail server (or failing with it) would show
+      // which emails have accounts
+      sendPasswordReset(user).catch((error) => console.error('Password reset email error:', error));
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reset Password using an emailed token
+router.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { user: { select: { id: true, isActive: true, emailVerifiedAt: true } } }
+    });
+
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date() || !resetToken.user.isActive) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    const reset = await prisma.$transaction(async (tx) => {
+      // Claim the token atomically so concurrent requests can't both use it
+      const claimed = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null },
+        data: { usedAt: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        return false;
+      }
+
+      // A successful reset also lifts any login lockout, and proves the
+      // user controls the inbox (this is how staff invites are accepted too)
+      await tx.user.update({
+        where: { id: resetToken.userId },
+        data: {
+          password: hashedPassword,
+          failedLoginAttempts: 0,
+          lastFailedLoginAt: null,
+          lockedUntil: null,
+          emailVerified: true,
+          emailVerifiedAt: resetToken.user.emailVerifiedAt || new Date()
+        }
+      });
+
+      await tx.session.updateMany({
+        where: { userId: resetToken.userId, revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+
+      return true;
+    });
+
+    if (!reset) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
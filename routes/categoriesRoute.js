@@ -1,32 +1,75 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const dbConnection = require('../utils/database');
+const {
+  getBreadcrumbs,
+  getDescendantIds,
+  buildCategoryTree,
+  wouldCreateCycle,
+  indexById
+} = require('../utils/categories');
+const { uniqueSlug, recordSlugChange } = require('../utils/slugs');
+const { loadProductStates, recordProductRevisions } = require('../utils/revisions');
 
 const router = express.Router();
 const prisma = dbConnection.getInstance();
 
-// Get all categories (public)
+// Subcategories and products that are still on the storefront
+const LIVE_CONTENT_COUNT = {
+  children: { where: { archivedAt: null } },
+  products: { where: { archivedAt: null } }
+};
+
+// Get all categories as a tree (public). ?flat=true returns a flat list with breadcrumbs.
 router.get('/', async (req, res) => {
   try {
     const categories = await prisma.category.findMany({
-      where: { isActive: true },
+      where: { isActive: true, archivedAt: null },
       orderBy: { name: 'asc' },
       include: {
-        _count: { select: { products: true } }
+        _count: { select: { products: { where: { archivedAt: null } } } }
       }
     });
 
-    res.json(categories);
+    if (req.query.flat === 'true') {
+      const byId = indexById(categories);
+      return res.json(categories.map((category) => ({
+        ...category,
+        breadcrumbs: getBreadcrumbs(category.id, byId)
+      })));
+    }
+
+    res.json(buildCategoryTree(categories));
   } catch (error) {
     console.error('Categories fetch error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Archived categories (admin only)
+router.get('/archived', authenticateToken, requirePermission('categories:write'), async (req, res) => {
+  try {
+    const categories = await prisma.category.findMany({
+      where: { archivedAt: { not: null } },
+      orderBy: { archivedAt: 'desc' },
+      include: {
+        parent: { select: { id: true, name: true, archivedAt: true } },
+        _count: { select: { children: true, products: true } }
+      }
+    });
+
+    res.json(categories);
+  } catch (error) {
+    console.error('Archived categories fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Create category (admin only)
-router.post('/', authenticateToken, requireAdmin, [
-  body('name').trim().isLength({ min: 1 })
+router.post('/', authenticateToken, requirePermission('categories:write'), [
+  body('name').trim().isLength({ min: 1 }),
+  body('parentId').optional({ nullable: true }).isString()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -34,15 +77,23 @@ router.post('/', authenticateToken, requireAdmin, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description, image } = req.body;
-    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+    const { name, description, image, parentId } = req.body;
+    const slug = await uniqueSlug(prisma, 'category', name);
+
+    if (parentId) {
+      const parent = await prisma.category.findUnique({ where: { id: parentId } });
+      if (!parent) {
+        return res.status(400).json({ message: 'Parent category not found' });
+      }
+    }
 
     const category = await prisma.category.create({
       data: {
         name,
         slug,
         description,
-        image
+        image,
+        parentId: parentId || null
       }
     });
 
@@ -57,39 +108,199 @@ router.post('/', authenticateToken, requireAdmin, [
 });
 
 // Update category (admin only)
-router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('categories:write'), [
+  body('parentId').optional({ nullable: true }).isString()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
-    const { name, description, image } = req.body;
+    const { name, description, image, parentId } = req.body;
     
     const updateData = { description, image };
-    if (name) {
-      updateData.name = name;
-      updateData.slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+
+    // Serializable so two concurrent moves can't combine into a cycle
+    const result = await prisma.$transaction(async (tx) => {
+      const current = await tx.category.findUnique({ where: { id }, select: { name: true, slug: true } });
+      if (!current) {
+        return { status: 404, body: { message: 'Category not found' } };
+      }
+
+      // Renames get a new slug; the old one is kept in the slug history
+      if (name && name !== current.name) {
+        updateData.name = name;
+        updateData.slug = await uniqueSlug(tx, 'category', name, { excludeId: id });
+        await recordSlugChange(tx, 'category', id, current.slug, updateData.slug);
+      }
+
+      if (parentId !== undefined) {
+        if (parentId && !await tx.category.findUnique({ where: { id: parentId } })) {
+          return { status: 400, body: { message: 'Parent category not found' } };
+        }
+        if (await wouldCreateCycle(tx, id, parentId)) {
+          return { status: 400, body: { message: 'A category cannot be moved under itself or one of its subcategories' } };
+        }
+        updateData.parentId = parentId || null;
+      }
+
+      const category = await tx.category.update({
+        where: { id },
+        data: updateData
+      });
+
+      return { status: 200, body: { message: 'Category updated successfully', category } };
+    }, { isolationLevel: 'Serializable' });
+
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Category update error:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({ message: 'Category name already exists' });
+    }
+    if (error.code === 'P2034') {
+      return res.status(409).json({ message: 'Conflicting category change in progress. Please retry.' });
     }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Archive category (admin only)
+// Archiving hides the category from the storefront. A category with live subcategories
+// or products is only archived when ?reassignTo=<categoryId> names where they should
+// move; otherwise the request is refused.
+router.delete('/:id', authenticateToken, requirePermission('categories:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reassignTo } = req.query;
+
+    const result = await prisma.$transaction(async (tx) => {
+      const category = await tx.category.findUnique({
+        where: { id },
+        include: { _count: { select: LIVE_CONTENT_COUNT } }
+      });
+      if (!category) {
+        return { status: 404, body: { message: 'Category not found' } };
+      }
+      if (category.archivedAt) {
+        return { status: 400, body: { message: 'Category is already archived' } };
+      }
+
+      const { children, products } = category._count;
+      if (children === 0 && products === 0) {
+        await tx.category.update({ where: { id }, data: { archivedAt: new Date() } });
+        return { status: 200, body: { message: 'Category archived successfully' } };
+      }
+
+      if (!reassignTo) {
+        return {
+          status: 409,
+          body: {
+            message: 'Category has subcategories or products. Pass reassignTo to move them before archiving.',
+            children,
+            products
+          }
+        };
+      }
+
+      const target = await tx.category.findUnique({ where: { id: reassignTo } });
+      if (!target || target.archivedAt) {
+        return { status: 400, body: { message: 'Reassignment category not found' } };
+      }
+      const descendants = await getDescendantIds(tx, id);
+      if (descendants.includes(reassignTo)) {
+        return { status: 400, body: { message: 'Cannot reassign to the category itself or one of its subcategories' } };
+      }
+
+      await tx.category.updateMany({ where: { parentId: id, archivedAt: null }, data: { parentId: reassignTo } });
+      const moved = await tx.product.findMany({ where: { categoryId: id, archivedAt: null }, select: { id: true } });
+      const movedIds = moved.map((product) => product.id);
+      const before = await loadProductStates(tx, movedIds);
+      await tx.product.updateMany({ where: { id: { in: movedIds } }, data: { categoryId: reassignTo } });
+      await recordProductRevisions(tx, {
+        before,
+        after: await loadProductStates(tx, movedIds),
+        action: 'category-reassign',
+        actorId: req.user.id
+      });
+      await tx.category.update({ where: { id }, data: { archivedAt: new Date() } });
+
+      return {
+        status: 200,
+        body: { message: 'Category archived successfully', reassigned: { to: reassignTo, children, products } }
+      };
+    }, { isolationLevel: 'Serializable', timeout: 60000 });
+
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Category deletion error:', error);
+    if (error.code === 'P2034') {
+      return res.status(409).json({ message: 'Conflicting category change in progress. Please retry.' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const category = await prisma.category.update({
+// Restore archived category (admin only)
+router.post('/:id/restore', authenticateToken, requirePermission('categories:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const category = await prisma.category.findUnique({
       where: { id },
-      data: updateData
+      include: { parent: { select: { name: true, archivedAt: true } } }
     });
+    if (!category || !category.archivedAt) {
+      return res.status(404).json({ message: 'Archived category not found' });
+    }
+    if (category.parent && category.parent.archivedAt) {
+      return res.status(400).json({ message: `Restore the parent category ${category.parent.name} first` });
+    }
+
+    const restored = await prisma.category.update({ where: { id }, data: { archivedAt: null } });
 
-    res.json({ message: 'Category updated successfully', category });
+    res.json({ message: 'Category restored successfully', category: restored });
   } catch (error) {
-    console.error('Category update error:', error);
+    console.error('Category restore error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Delete category (admin only)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Permanently delete an archived category (admin only). Only allowed once no
+// category or product, archived or not, points at it.
+router.delete('/:id/purge', authenticateToken, requirePermission('categories:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    await prisma.category.delete({ where: { id } });
+    const result = await prisma.$transaction(async (tx) => {
+      const category = await tx.category.findUnique({
+        where: { id },
+        include: { _count: { select: { children: true, products: true } } }
+      });
+      if (!category || !category.archivedAt) {
+        return { status: 404, body: { message: 'Archived category not found' } };
+      }
 
-    res.json({ message: 'Category deleted successfully' });
+      const { children, products } = category._count;
+      if (children > 0 || products > 0) {
+        return {
+          status: 409,
+          body: { message: 'Category is still referenced and cannot be purged', children, products }
+        };
+      }
+
+      await tx.category.delete({ where: { id } });
+      return { status: 200, body: { message: 'Category purged successfully' } };
+    }, { isolationLevel: 'Serializable' });
+
+    res.status(result.status).json(result.body);
   } catch (error) {
-    console.error('Category deletion error:', error);
+    console.error('Category purge error:', error);
+    if (error.code === 'P2034') {
+      return res.status(409).json({ message: 'Conflicting category change in progress. Please retry.' });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -0,0 +1,85 @@
+const express = require('express');
+const dbConnection = require('../utils/database');
+const { decimalsToNumbers } = require('../utils/quantity');
+const { listProducts } = require('../utils/productListing');
+const { getCollectionProductIds } = require('../utils/collections');
+
+const router = express.Router();
+const prisma = dbConnection.getInstance();
+
+const PUBLIC_FIELDS = {
+  id: true,
+  name: true,
+  slug: true,
+  description: true,
+  bannerImage: true,
+  position: true
+};
+
+// Get all collections (public)
+router.get('/', async (req, res) => {
+  try {
+    const collections = await prisma.collection.findMany({
+      where: { isActive: true },
+      orderBy: [{ position: 'asc' }, { name: 'asc' }],
+      select: PUBLIC_FIELDS
+    });
+
+    res.json(collections);
+  } catch (error) {
+    console.error('Collections fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single collection (public)
+router.get('/:slug', async (req, res) => {
+  try {
+    const collection = await prisma.collection.findFirst({
+      where: { slug: req.params.slug, isActive: true },
+      select: PUBLIC_FIELDS
+    });
+
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    res.json(collection);
+  } catch (error) {
+    console.error('Collection fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Page through a collection's products (public). Takes the same query parameters
+// as GET /api/products; without sortBy products keep the curated order.
+router.get('/:slug/products', async (req, res) => {
+  try {
+    const collection = await prisma.collection.findFirst({
+      where: { slug: req.params.slug, isActive: true }
+    });
+
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    const productIds = await getCollectionProductIds(prisma, collection);
+    const result = await listProducts(req.query, {
+      scope: { id: { in: productIds } },
+      orderedIds: productIds
+    });
+
+    res.json(decimalsToNumbers({
+      collection: Object.fromEntries(Object.keys(PUBLIC_FIELDS).map((field) => [field, collection[field]])),
+      ...result
+    }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Collection products fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const dbConnection = require('../utils/database');
+const { BASE_CURRENCY } = require('../utils/currency');
+
+const router = express.Router();
+const prisma = dbConnection.getInstance();
+
+const PUBLIC_FIELDS = {
+  code: true,
+  name: true,
+  symbol: true,
+  rate: true,
+  decimals: true
+};
+
+// Get currencies prices can be shown in (public)
+router.get('/', async (req, res) => {
+  try {
+    const currencies = await prisma.currency.findMany({
+      where: { isActive: true },
+      orderBy: { code: 'asc' },
+      select: PUBLIC_FIELDS
+    });
+
+    res.json({ base: BASE_CURRENCY, currencies });
+  } catch (error) {
+    console.error('Currencies fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,39 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const dbConnection = require('../utils/database');
-const { authenticateUser } = require('../middleware/auth');
+const { authenticateUser, optionalAuthenticateUser, forbidImpersonation } = require('../middleware/auth');
+const { orderLookupLimiter } = require('../middleware/rateLimit');
+const { reserveStock, releaseStock, findVariantForItem } = require('../utils/inventory');
+const { roundQuantity, roundAmount, validateQuantity, decimalsToNumbers } = require('../utils/quantity');
+const { loadPricingContext, getEffectivePrice } = require('../utils/pricing');
+const { BASE_CURRENCY, roundToCurrency, convertFromBase } = require('../utils/currency');
 
 const router = express.Router();
 const prisma = dbConnection.getInstance();
 
-// Create Order
+const hasInlineAddress = body('address').exists();
+
+// Create Order (signed-in customers, or guests with an email and inline address)
 router.post('/', [
-  authenticateUser,
+  optionalAuthenticateUser,
+  forbidImpersonation,
   body('items').isArray({ min: 1 }),
-  body('addressId').notEmpty(),
-  body('paymentMethod').notEmpty()
+  body('items.*.productId').notEmpty(),
+  body('items.*.quantity').isFloat({ gt: 0 }).toFloat(),
+  body('items.*.variantId').optional().isString(),
+  body('addressId').optional().notEmpty(),
+  body('address').optional().isObject(),
+  body('address.firstName').if(hasInlineAddress).notEmpty().trim(),
+  body('address.lastName').if(hasInlineAddress).notEmpty().trim(),
+  body('address.address1').if(hasInlineAddress).notEmpty().trim(),
+  body('address.city').if(hasInlineAddress).notEmpty().trim(),
+  body('address.state').if(hasInlineAddress).notEmpty().trim(),
+  body('address.postalCode').if(hasInlineAddress).notEmpty().trim(),
+  body('address.country').optional().trim(),
+  body('address.phone').optional().isMobilePhone(),
+  body('email').optional().isEmail().normalizeEmail(),
+  body('paymentMethod').notEmpty(),
+  body('currency').optional().isString()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -19,70 +41,164 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { items, addressId, paymentMethod, notes } = req.body;
+    const isGuest = !req.user;
+
+    if (isGuest && process.env.ALLOW_GUEST_CHECKOUT === 'false') {
+      return res.status(401).json({ message: 'Access token required' });
+    }
+
+    if (!isGuest && process.env.REQUIRE_EMAIL_VERIFICATION_FOR_ORDERS === 'true' && !req.user.emailVerified) {
+      return res.status(403).json({
+        message: 'Please verify your email address before placing an order',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    const { items, addressId, address: inlineAddress, email, paymentMethod, notes, currency } = req.body;
+
+    if (isGuest && (!email || !inlineAddress)) {
+      return res.status(400).json({ message: 'Guest orders require an email and a shipping address' });
+    }
+
+    if (!isGuest && !addressId && !inlineAddress) {
+      return res.status(400).json({ message: 'addressId or address is required' });
+    }
 
     // Verify address belongs to user
-    const address = await prisma.address.findFirst({
-      where: { id: addressId, userId: req.userId }
-    });
+    if (addressId && !isGuest) {
+      const address = await prisma.address.findFirst({
+        where: { id: addressId, userId: req.userId }
+      });
 
-    if (!address) {
-      return res.status(404).json({ message: 'Address not found' });
+      if (!address) {
+        return res.status(404).json({ message: 'Address not found' });
+      }
     }
 
-    // Calculate totals
+    // Calculate totals at the prices in effect right now (sale schedules included).
+    // Totals are charged in rupees; a display currency is recorded with its rate
+    // and the amounts the customer saw in it.
     let subtotal = 0;
+    let currencySubtotal = 0;
     const orderItems = [];
+    const pricing = await loadPricingContext(prisma, { currency });
 
     for (const item of items) {
       const product = await prisma.product.findUnique({
-        where: { id: item.productId }
+        where: { id: item.productId },
+        include: { variants: { where: { isActive: true } } }
       });
 
-      if (!product || !product.isActive) {
+      if (!product || !product.isActive || product.archivedAt) {
         return res.status(400).json({ 
           message: `Product ${item.productId} not found or inactive` 
         });
       }
 
-      if (product.stock < item.quantity) {
+      // Products sold in size/color combinations must be ordered as a specific variant
+      let variant = null;
+      if (product.variants.length > 0) {
+        variant = findVariantForItem(product.variants, item);
+        if (!variant) {
+          return res.status(400).json({
+            message: `Please choose an available size and color for ${product.name}`
+          });
+        }
+      }
+
+      // Quantities are in the product's unit, e.g. 2.5 metres of fabric
+      const quantity = roundQuantity(item.quantity);
+      const quantityError = validateQuantity(product, quantity);
+      if (quantityError) {
+        return res.status(400).json({ message: quantityError });
+      }
+
+      const available = Number(variant ? variant.stock : product.stock);
+      if (available < quantity) {
         return res.status(400).json({ 
           message: `Insufficient stock for ${product.name}` 
         });
       }
 
-      const itemTotal = product.price * item.quantity;
+      const effectivePrice = getEffectivePrice(product, pricing, variant);
+      const unitPrice = effectivePrice.price;
+      const itemTotal = roundAmount(unitPrice * quantity);
       subtotal += itemTotal;
+      if (effectivePrice.display) {
+        currencySubtotal += roundToCurrency(effectivePrice.display.price * quantity, pricing.currency);
+      }
 
       orderItems.push({
         productId: item.productId,
-        quantity: item.quantity,
-        price: product.price,
-        size: item.size,
-        color: item.color
+        variantId: variant ? variant.id : null,
+        quantity,
+        price: unitPrice,
+        currencyPrice: effectivePrice.display ? effectivePrice.display.price : null,
+        size: variant ? variant.size || '' : item.size,
+        color: variant ? variant.color || '' : item.color
       });
     }
 
+    subtotal = roundAmount(subtotal);
     const shippingCost = subtotal >= 500 ? 0 : 50;
     const taxAmount = Math.round(subtotal * 0.18 * 100) / 100; // 18% GST
-    const totalAmount = subtotal + shippingCost + taxAmount;
+    const totalAmount = roundAmount(subtotal + shippingCost + taxAmount);
+
+    // Same charges in the display currency: tax on the subtotal as shown, shipping converted
+    let currencyAmounts = {};
+    if (pricing.currency) {
+      const displaySubtotal = roundToCurrency(currencySubtotal, pricing.currency);
+      const displayShipping = roundToCurrency(convertFromBase(shippingCost, pricing.currency), pricing.currency);
+      const displayTax = roundToCurrency(displaySubtotal * 0.18, pricing.currency);
+      currencyAmounts = {
+        currencySubtotal: displaySubtotal,
+        currencyShippingCost: displayShipping,
+        currencyTaxAmount: displayTax,
+        currencyTotal: roundToCurrency(displaySubtotal + displayShipping + displayTax, pricing.currency)
+      };
+    }
 
     // Generate order number
     const orderNumber = `ORD-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
 
     // Create order with transaction
     const order = await prisma.$transaction(async (tx) => {
+      // Inline addresses are saved so the order keeps its shipping details
+      let shippingAddressId = addressId;
+      if (isGuest || !addressId) {
+        const newAddress = await tx.address.create({
+          data: {
+            userId: isGuest ? null : req.userId,
+            firstName: inlineAddress.firstName,
+            lastName: inlineAddress.lastName,
+            company: inlineAddress.company || null,
+            address1: inlineAddress.address1,
+            address2: inlineAddress.address2 || null,
+            city: inlineAddress.city,
+            state: inlineAddress.state,
+            postalCode: inlineAddress.postalCode,
+            country: inlineAddress.country || 'India',
+            phone: inlineAddress.phone || null
+          }
+        });
+        shippingAddressId = newAddress.id;
+      }
+
       // Create order
       const newOrder = await tx.order.create({
         data: {
           orderNumber,
-          userId: req.userId,
-          addressId,
+          userId: isGuest ? null : req.userId,
+          guestEmail: isGuest ? email : null,
+          addressId: shippingAddressId,
           totalAmount,
           shippingCost,
           taxAmount,
           paymentMethod,
           notes: notes || null,
+          currency: pricing.currency ? pricing.currency.code : BASE_CURRENCY,
+          exchangeRate: pricing.currency ? pricing.currency.rate : 1,
+          ...currencyAmounts,
           orderItems: {
             create: orderItems
           }
@@ -104,31 +220,124 @@ router.post('/', [
         }
       });
 
-      // Update product stock
-      for (const item of items) {
-        await tx.product.update({
-          where: { id: item.productId },
-          data: {
-            stock: {
-              decrement: item.quantity
-            }
-          }
-        });
+      // Reserve stock; a concurrent order may have taken it since we checked above
+      for (const item of orderItems) {
+        const reserved = await reserveStock(tx, item);
+        if (!reserved) {
+          const error = new Error('Insufficient stock for one or more items');
+          error.statusCode = 409;
+          throw error;
+        }
       }
 
       return newOrder;
     });
 
-    res.status(201).json({
+    res.status(201).json(decimalsToNumbers({
       message: 'Order created successfully',
       order
-    });
+    }));
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Create order error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Guest Order Lookup (order number + the email used at checkout)
+router.post('/lookup', orderLookupLimiter, [
+  body('orderNumber').notEmpty().trim(),
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { orderNumber, email } = req.body;
+
+    const order = await prisma.order.findFirst({
+      where: {
+        orderNumber,
+        guestEmail: { equals: email, mode: 'insensitive' }
+      },
+      include: {
+        orderItems: {
+          include: {
+            product: {
+              select: {
+                name: true,
+                images: true,
+                price: true,
+                sku: true
+              }
+            }
+          }
+        },
+        address: true
+      }
+    });
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json(decimalsToNumbers({ order }));
+  } catch (error) {
+    console.error('Order lookup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Claim Guest Orders placed with the signed-in customer's (verified) email
+router.post('/claim', authenticateUser, async (req, res) => {
+  try {
+    // Without verification anyone could register someone else's email and take their orders
+    if (!req.user.emailVerified) {
+      return res.status(403).json({
+        message: 'Please verify your email address before claiming guest orders',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    const guestOrders = await prisma.order.findMany({
+      where: {
+        userId: null,
+        guestEmail: { equals: req.user.email, mode: 'insensitive' }
+      },
+      select: { id: true, addressId: true }
+    });
+
+    if (guestOrders.length === 0) {
+      return res.json({ message: 'No guest orders to claim', claimed: 0 });
+    }
+
+    // The account's email takes over from the guest email, so deleting the account later
+    // leaves no copy of it on the orders
+    await prisma.$transaction([
+      prisma.order.updateMany({
+        where: { id: { in: guestOrders.map((order) => order.id) } },
+        data: { userId: req.userId, guestEmail: null }
+      }),
+      prisma.address.updateMany({
+        where: { id: { in: guestOrders.map((order) => order.addressId) }, userId: null },
+        data: { userId: req.userId }
+      })
+    ]);
+
+    res.json({
+      message: `${guestOrders.length} guest order(s) added to your account`,
+      claimed: guestOrders.length
+    });
+  } catch (error) {
+    console.error('Claim orders error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get User Orders
 router.get('/', authenticateUser, async (req, res) => {
   try {
@@ -160,7 +369,7 @@ router.get('/', authenticateUser, async (req, res) => {
       where: { userId: req.userId }
     });
 
-    res.json({
+    res.json(decimalsToNumbers({
       orders,
       pagination: {
         total: totalOrders,
@@ -168,7 +377,7 @@ router.get('/', authenticateUser, async (req, res) => {
         currentPage: parseInt(page),
         limit: parseInt(limit)
       }
-    });
+    }));
   } catch (error) {
     console.error('Get orders error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -206,7 +415,7 @@ router.get('/:id', authenticateUser, async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    res.json({ order });
+    res.json(decimalsToNumbers({ order }));
   } catch (error) {
     console.error('Get order error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -236,26 +445,30 @@ router.patch('/:id/cancel', authenticateUser, async (req, res) => {
     }
 
     // Update order and restore stock
-    await prisma.$transaction(async (tx) => {
-      // Update order status
-      await tx.order.update({
-        where: { id },
+    const cancelled = await prisma.$transaction(async (tx) => {
+      // Only the request that moves the order out of PENDING restores stock,
+      // so two concurrent cancels can't release it twice
+      const updated = await tx.order.updateMany({
+        where: { id, status: 'PENDING' },
         data: { status: 'CANCELLED' }
       });
+      if (updated.count !== 1) {
+        return false;
+      }
 
-      // Restore product stock
+      // Restore product / variant stock
       for (const item of order.orderItems) {
-        await tx.product.update({
-          where: { id: item.productId },
-          data: {
-            stock: {
-              increment: item.quantity
-            }
-          }
-        });
+        await releaseStock(tx, item);
       }
+      return true;
     });
 
+    if (!cancelled) {
+      return res.status(404).json({ 
+        message: 'Order not found or cannot be cancelled' 
+      });
+    }
+
     res.json({ message: 'Order cancelled successfully' });
   } catch (error) {
     console.error('Cancel order error:', error);
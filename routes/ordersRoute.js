@@ -1,12 +1,13 @@
 const express = require('express');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const dbConnection = require('../utils/database');
+const { decimalsToNumbers } = require('../utils/quantity');
 
 const router = express.Router();
 const prisma = dbConnection.getInstance();
 
 // Admin only - Get all orders
-router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('orders:read'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status, search } = req.query;
     const skip = (page - 1) * limit;
@@ -24,7 +25,8 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
             { lastName: { contains: search, mode: 'insensitive' } },
             { email: { contains: search, mode: 'insensitive' } }
           ]
-        }}
+        }},
+        { guestEmail: { contains: search, mode: 'insensitive' } }
       ];
     }
 
@@ -51,7 +53,7 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
       prisma.order.count({ where })
     ]);
 
-    res.json({
+    res.json(decimalsToNumbers({
       orders,
       pagination: {
         total,
@@ -59,7 +61,7 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
         currentPage: parseInt(page),
         limit: parseInt(limit)
       }
-    });
+    }));
   } catch (error) {
     console.error('Orders fetch error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -1,7 +1,25 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const dbConnection = require('../utils/database');
+const { hasPermission } = require('../utils/permissions');
+const { syncProductStock } = require('../utils/inventory');
+const { UNITS, roundQuantity, validateUnitSettings, decimalsToNumbers } = require('../utils/quantity');
+const { getBreadcrumbs, loadCategories, indexById } = require('../utils/categories');
+const { slugify, uniqueSlug, isSlugTaken, recordSlugChange, resolveFormerSlug } = require('../utils/slugs');
+const { listProducts } = require('../utils/productListing');
+const { recordProductRevision, trackProductChange } = require('../utils/revisions');
+const { loadPricingContext, withEffectivePrices } = require('../utils/pricing');
+const { findRelatedProducts, getFrequentlyBoughtTogether } = require('../utils/recommendations');
+const { isNewSearch, logSearchQuery, getSearchSuggestions } = require('../utils/searchSuggestions');
+const { upload } = require('../utils/cloudinary');
+const { getImageStorage, removeStoredImage } = require('../utils/imageStorage');
+const {
+  IMAGE_ORDER,
+  syncProductImages,
+  ensurePrimaryImage,
+  replaceProductImageUrls
+} = require('../utils/productImages');
 
 const router = express.Router();
 const prisma = dbConnection.getInstance();
@@ -9,73 +27,53 @@ const prisma = dbConnection.getInstance();
 // Get all products (public)
 router.get('/', async (req, res) => {
   try {
-    const { 
-      page = 1, 
-      limit = 12, 
-      category, 
-      search, 
-      minPrice, 
-      maxPrice, 
-      sortBy = 'createdAt',
-      sortOrder = 'desc',
-      featured
-    } = req.query;
-
-    const skip = (page - 1) * limit;
-    const where = { isActive: true };
-
-    if (category) where.categoryId = category;
-    if (featured !== undefined) where.featured = featured === 'true';
-    if (search) {
-      where.OR = [
-        { name: { contains: search, mode: 'insensitive' } },
-        { description: { contains: search, mode: 'insensitive' } }
-      ];
-    }
-    if (minPrice || maxPrice) {
-      where.price = {};
-      if (minPrice) where.price.gte = parseFloat(minPrice);
-      if (maxPrice) where.price.lte = parseFloat(maxPrice);
-    }
-
-    const [products, total] = await Promise.all([
-      prisma.product.findMany({
-        where,
-        skip: parseInt(skip),
-        take: parseInt(limit),
-        orderBy: { [sortBy]: sortOrder },
-        include: {
-          category: { select: { name: true, slug: true } },
-          _count: { select: { reviews: true } }
-        }
-      }),
-      prisma.product.count({ where })
-    ]);
+    const result = await listProducts(req.query);
 
-    res.json({
-      products,
-      pagination: {
-        total,
-        pages: Math.ceil(total / limit),
-        currentPage: parseInt(page),
-        limit: parseInt(limit)
-      }
-    });
+    // Log each search once, including those that found nothing
+    if (isNewSearch(req.query)) {
+      logSearchQuery(req.query.search, result.pagination.total);
+    }
+
+    res.json(decimalsToNumbers(result));
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Products fetch error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+const MAX_SUGGESTIONS = 10;
+
+// Search suggestions while typing (public)
+router.get('/suggest', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), MAX_SUGGESTIONS);
+    const suggestions = await getSearchSuggestions(req.query.q, { limit });
+
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json(suggestions);
+  } catch (error) {
+    console.error('Search suggestions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get single product (public)
 router.get('/:slug', async (req, res) => {
   try {
     const { slug } = req.params;
 
     const product = await prisma.product.findUnique({
-      where: { slug, isActive: true },
+      where: { slug, isActive: true, archivedAt: null },
       include: {
         category: { select: { name: true, slug: true } },
+        variants: {
+          where: { isActive: true },
+          orderBy: [{ color: 'asc' }, { size: 'asc' }],
+          select: { id: true, sku: true, size: true, color: true, stock: true, price: true }
+        },
         reviews: {
           include: {
             user: { select: { firstName: true, lastName: true } }
@@ -86,22 +84,102 @@ router.get('/:slug', async (req, res) => {
     });
 
     if (!product) {
+      // Old links: point the client at the product's current slug. Temporary (302),
+      // since a slug can be given back to the product later and a cached 301 would loop.
+      const currentSlug = await resolveFormerSlug(prisma, 'product', slug);
+      if (currentSlug) {
+        const location = `${req.baseUrl}/${encodeURIComponent(currentSlug)}`;
+        return res.status(302).location(location).json({
+          message: 'Product has moved',
+          slug: currentSlug,
+          redirectTo: location
+        });
+      }
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    res.json(product);
+    const categories = indexById(await loadCategories(prisma));
+    product.category.breadcrumbs = getBreadcrumbs(product.categoryId, categories);
+
+    const [pricedProduct] = withEffectivePrices([product], await loadPricingContext(prisma, { currency: req.query.currency }));
+
+    res.json(decimalsToNumbers(pricedProduct));
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Product fetch error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+const MAX_RECOMMENDATIONS = 24;
+
+// Related products by shared category, fabric, pattern and occasion (public)
+router.get('/:slug/related', async (req, res) => {
+  try {
+    const product = await prisma.product.findUnique({
+      where: { slug: req.params.slug, isActive: true, archivedAt: null }
+    });
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 8, MAX_RECOMMENDATIONS);
+    const [products, pricing] = await Promise.all([
+      findRelatedProducts(product, { limit }),
+      loadPricingContext(prisma, { currency: req.query.currency })
+    ]);
+
+    res.json(decimalsToNumbers({ products: withEffectivePrices(products, pricing) }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Related products fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Products frequently bought together with this one (public)
+router.get('/:slug/frequently-bought-together', async (req, res) => {
+  try {
+    const product = await prisma.product.findUnique({
+      where: { slug: req.params.slug, isActive: true, archivedAt: null },
+      select: { id: true }
+    });
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 4, MAX_RECOMMENDATIONS);
+    const [products, pricing] = await Promise.all([
+      getFrequentlyBoughtTogether(product.id, { limit }),
+      loadPricingContext(prisma, { currency: req.query.currency })
+    ]);
+
+    res.json(decimalsToNumbers({ products: withEffectivePrices(products, pricing) }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Frequently bought together fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Create product (admin only)
-router.post('/', authenticateToken, requireAdmin, [
+router.post('/', authenticateToken, requirePermission('products:write'), [
   body('name').trim().isLength({ min: 1 }),
   body('price').isFloat({ min: 0 }),
   body('categoryId').isString(),
-  body('sku').trim().isLength({ min: 1 })
+  body('sku').trim().isLength({ min: 1 }),
+  body('stock').optional().isFloat({ min: 0 }),
+  body('unit').optional().isIn(Object.keys(UNITS)),
+  body('minQuantity').optional().isFloat({ gt: 0 }).toFloat(),
+  body('quantityStep').optional().isFloat({ gt: 0 }).toFloat()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -123,36 +201,66 @@ router.post('/', authenticateToken, requireAdmin, [
       pattern,
       occasion,
       categoryId,
-      featured
+      featured,
+      unit = 'PIECE',
+      minQuantity = 1,
+      quantityStep = 1
     } = req.body;
 
-    // Generate slug
-    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
-
-    const product = await prisma.product.create({
-      data: {
-        name,
-        slug,
-        description,
-        price: parseFloat(price),
-        salePrice: salePrice ? parseFloat(salePrice) : null,
-        sku,
-        stock: parseInt(stock) || 0,
-        images: images || [],
-        colors: colors || [],
-        sizes: sizes || [],
-        fabric,
-        pattern,
-        occasion,
-        categoryId,
-        featured: featured || false
-      },
-      include: {
-        category: { select: { name: true } }
+    const unitError = validateUnitSettings({ unit, minQuantity, quantityStep });
+    if (unitError) {
+      return res.status(400).json({ message: unitError });
+    }
+
+    // Generate slug, suffixed if another product already has (or had) it
+    const slug = await uniqueSlug(prisma, 'product', name);
+
+    const product = await prisma.$transaction(async (tx) => {
+      const created = await tx.product.create({
+        data: {
+          name,
+          slug,
+          description,
+          price: parseFloat(price),
+          salePrice: salePrice ? parseFloat(salePrice) : null,
+          sku,
+          stock: roundQuantity(parseFloat(stock) || 0),
+          unit,
+          minQuantity,
+          quantityStep,
+          images: images || [],
+          colors: colors || [],
+          sizes: sizes || [],
+          fabric,
+          pattern,
+          occasion,
+          categoryId,
+          featured: featured || false
+        },
+        include: {
+          category: { select: { name: true } }
+        }
+      });
+
+      // Image URLs given up front are recorded as external images
+      if (images && images.length > 0) {
+        await tx.productImage.createMany({
+          data: images.map((url, position) => ({ productId: created.id, url, position, isPrimary: position === 0 }))
+        });
       }
+
+      await recordProductRevision(tx, {
+        productId: created.id,
+        before: null,
+        after: created,
+        action: 'create',
+        actorId: req.user.id
+      });
+
+      return created;
     });
 
-    res.status(201).json({ message: 'Product created successfully', product });
+    res.status(201).json(decimalsToNumbers({ message: 'Product created successfully', product }));
   } catch (error) {
     console.error('Product creation error:', error);
     if (error.code === 'P2002') {
@@ -162,43 +270,550 @@ router.post('/', authenticateToken, requireAdmin, [
   }
 });
 
+// Fields PUT /:id may change. Archiving has its own endpoints, and stock needs inventory:write.
+const UPDATABLE_FIELDS = [
+  'name',
+  'slug',
+  'description',
+  'price',
+  'salePrice',
+  'sku',
+  'stock',
+  'unit',
+  'minQuantity',
+  'quantityStep',
+  'images',
+  'colors',
+  'sizes',
+  'fabric',
+  'pattern',
+  'occasion',
+  'categoryId',
+  'featured',
+  'isActive'
+];
+
 // Update product (admin only)
-router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('products:write'), async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = { ...req.body };
 
-    if (updateData.name) {
-      updateData.slug = updateData.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+    if (req.body.archivedAt !== undefined) {
+      return res.status(400).json({ message: 'Use the archive and restore endpoints to change archivedAt' });
+    }
+
+    const updateData = {};
+    UPDATABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    if (updateData.stock !== undefined) {
+      if (!hasPermission(req.user, 'inventory:write')) {
+        return res.status(403).json({ message: 'Missing permission: inventory:write', code: 'FORBIDDEN' });
+      }
+      const stock = parseFloat(updateData.stock);
+      if (!(stock >= 0)) {
+        return res.status(400).json({ message: 'stock must be a number of at least 0' });
+      }
+      updateData.stock = roundQuantity(stock);
     }
 
-    const product = await prisma.product.update({
+    const current = await prisma.product.findUnique({
       where: { id },
-      data: updateData,
-      include: {
-        category: { select: { name: true } }
+      select: {
+        name: true,
+        slug: true,
+        unit: true,
+        minQuantity: true,
+        quantityStep: true,
+        _count: { select: { variants: { where: { isActive: true } } } }
       }
     });
+    if (!current) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    // Variant stock is the source of truth once a product has variants
+    if (updateData.stock !== undefined && current._count.variants > 0) {
+      return res.status(400).json({ message: 'Stock is managed by the product variants; update them instead' });
+    }
+
+    if (updateData.unit !== undefined || updateData.minQuantity !== undefined || updateData.quantityStep !== undefined) {
+      const unitError = validateUnitSettings({ ...current, ...updateData });
+      if (unitError) {
+        return res.status(400).json({ message: unitError });
+      }
+    }
 
-    res.json({ message: 'Product updated successfully', product });
+    // An explicit slug must be free; otherwise a rename moves the slug along with the name
+    if (updateData.slug !== undefined) {
+      updateData.slug = slugify(updateData.slug);
+      if (!updateData.slug) {
+        return res.status(400).json({ message: 'Slug must contain letters or numbers' });
+      }
+      if (await isSlugTaken(prisma, 'product', updateData.slug, id)) {
+        return res.status(400).json({ message: 'Slug already in use' });
+      }
+    } else if (updateData.name && updateData.name !== current.name) {
+      updateData.slug = await uniqueSlug(prisma, 'product', updateData.name, { excludeId: id });
+    }
+
+    // An `images` list replaces the product's image rows; Product.images follows from them
+    const { images } = updateData;
+    delete updateData.images;
+
+    let removedImages = [];
+    const product = await prisma.$transaction((tx) => {
+      return trackProductChange(tx, { productId: id, action: 'update', actorId: req.user.id }, async () => {
+        if (Array.isArray(images)) {
+          removedImages = await replaceProductImageUrls(tx, id, images);
+        }
+        if (updateData.slug) {
+          await recordSlugChange(tx, 'product', id, current.slug, updateData.slug);
+        }
+
+        return tx.product.update({
+          where: { id },
+          data: updateData,
+          include: {
+            category: { select: { name: true } }
+          }
+        });
+      });
+    });
+
+    await Promise.all(removedImages.map(removeStoredImage));
+
+    res.json(decimalsToNumbers({ message: 'Product updated successfully', product }));
   } catch (error) {
     console.error('Product update error:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({ message: 'SKU or slug already exists' });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Delete product (admin only)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Archive product (admin only). The product leaves the storefront but stays
+// linked to past orders; see the admin archive endpoints to restore or purge it.
+router.delete('/:id', authenticateToken, requirePermission('products:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    await prisma.product.delete({ where: { id } });
+    const product = await prisma.product.findUnique({ where: { id }, select: { archivedAt: true } });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (product.archivedAt) {
+      return res.status(400).json({ message: 'Product is already archived' });
+    }
+
+    await prisma.$transaction((tx) => {
+      return trackProductChange(tx, { productId: id, action: 'archive', actorId: req.user.id }, () => {
+        return tx.product.update({ where: { id }, data: { archivedAt: new Date() } });
+      });
+    });
 
-    res.json({ message: 'Product deleted successfully' });
+    res.json({ message: 'Product archived successfully' });
   } catch (error) {
     console.error('Product deletion error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Variant SKUs default to PRODUCT-SKU-SIZE-COLOR
+const variantSku = (productSku, size, color) => {
+  return [productSku, size, color]
+    .filter(Boolean)
+    .join('-')
+    .toUpperCase()
+    .replace(/[^A-Z0-9-]+/g, '');
+};
+
+// List variants (admin only, includes inactive)
+router.get('/:id/variants', authenticateToken, requirePermission('products:read'), async (req, res) => {
+  try {
+    const variants = await prisma.productVariant.findMany({
+      where: { productId: req.params.id },
+      orderBy: [{ color: 'asc' }, { size: 'asc' }],
+      include: { _count: { select: { orderItems: true } } }
+    });
+
+    res.json(decimalsToNumbers({ variants }));
+  } catch (error) {
+    console.error('Variants fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create variant (admin only)
+router.post('/:id/variants', authenticateToken, requirePermission('products:write'), [
+  body('size').optional({ nullable: true }).trim(),
+  body('color').optional({ nullable: true }).trim(),
+  body('sku').optional().trim().isLength({ min: 1 }),
+  body('stock').optional().isFloat({ min: 0 }),
+  body('price').optional({ nullable: true }).isFloat({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { size, color, sku, stock, price } = req.body;
+
+    if (!size && !color) {
+      return res.status(400).json({ message: 'A variant needs a size, a color or both' });
+    }
+
+    const product = await prisma.product.findUnique({ where: { id } });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const variant = await prisma.$transaction((tx) => {
+      return trackProductChange(tx, { productId: id, action: 'variant-create', actorId: req.user.id, variants: true }, async () => {
+        const created = await tx.productVariant.create({
+          data: {
+            productId: id,
+            size: size || '',
+            color: color || '',
+            sku: sku || variantSku(product.sku, size, color),
+            stock: roundQuantity(parseFloat(stock) || 0),
+            price: price !== undefined && price !== null ? parseFloat(price) : null
+          }
+        });
+        await syncProductStock(tx, id);
+        return created;
+      });
+    });
+
+    res.status(201).json(decimalsToNumbers({ message: 'Variant created successfully', variant }));
+  } catch (error) {
+    console.error('Variant creation error:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({ message: 'Variant SKU or size/color combination already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Generate a variant for every size x color combination listed on the product (admin only)
+router.post('/:id/variants/generate', authenticateToken, requirePermission('products:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const stock = roundQuantity(parseFloat(req.body.stock) || 0);
+
+    const product = await prisma.product.findUnique({
+      where: { id },
+      include: { variants: true }
+    });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const sizes = product.sizes.length > 0 ? product.sizes : [''];
+    const colors = product.colors.length > 0 ? product.colors : [''];
+
+    const missing = [];
+    for (const size of sizes) {
+      for (const color of colors) {
+        if (!size && !color) continue;
+        const exists = product.variants.some((variant) => variant.size === size && variant.color === color);
+        if (!exists) {
+          missing.push({ productId: id, size, color, sku: variantSku(product.sku, size, color), stock });
+        }
+      }
+    }
+
+    if (missing.length > 0) {
+      await prisma.$transaction((tx) => {
+        return trackProductChange(tx, { productId: id, action: 'variant-generate', actorId: req.user.id, variants: true }, async () => {
+          await tx.productVariant.createMany({ data: missing, skipDuplicates: true });
+          await syncProductStock(tx, id);
+        });
+      });
+    }
+
+    const variants = await prisma.productVariant.findMany({
+      where: { productId: id },
+      orderBy: [{ color: 'asc' }, { size: 'asc' }]
+    });
+
+    res.status(201).json(decimalsToNumbers({ message: `${missing.length} variants created`, variants }));
+  } catch (error) {
+    console.error('Variant generation error:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({ message: 'A generated variant SKU already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update variant (admin only). Stock-only changes need inventory:write; anything else products:write.
+router.put('/:id/variants/:variantId', authenticateToken, requirePermission('inventory:write'), [
+  body('size').optional({ nullable: true }).trim(),
+  body('color').optional({ nullable: true }).trim(),
+  body('sku').optional().trim().isLength({ min: 1 }),
+  body('stock').optional().isFloat({ min: 0 }),
+  body('price').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, variantId } = req.params;
+    const { size, color, sku, stock, price, isActive } = req.body;
+
+    const updateData = {};
+    if (size !== undefined) updateData.size = size || '';
+    if (color !== undefined) updateData.color = color || '';
+    if (sku) updateData.sku = sku;
+    if (price !== undefined) updateData.price = price === null ? null : parseFloat(price);
+    if (isActive !== undefined) updateData.isActive = isActive;
+
+    if (Object.keys(updateData).length > 0 && !hasPermission(req.user, 'products:write')) {
+      return res.status(403).json({ message: 'Missing permission: products:write', code: 'FORBIDDEN' });
+    }
+
+    if (stock !== undefined) updateData.stock = roundQuantity(parseFloat(stock));
+
+    const existing = await prisma.productVariant.findFirst({ where: { id: variantId, productId: id } });
+    if (!existing) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    const merged = { ...existing, ...updateData };
+    if (!merged.size && !merged.color) {
+      return res.status(400).json({ message: 'A variant needs a size, a color or both' });
+    }
+
+    const variant = await prisma.$transaction((tx) => {
+      return trackProductChange(tx, { productId: id, action: 'variant-update', actorId: req.user.id, variants: true }, async () => {
+        const updated = await tx.productVariant.update({
+          where: { id: variantId },
+          data: updateData
+        });
+        await syncProductStock(tx, id);
+        return updated;
+      });
+    });
+
+    res.json(decimalsToNumbers({ message: 'Variant updated successfully', variant }));
+  } catch (error) {
+    console.error('Variant update error:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({ message: 'Variant SKU or size/color combination already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete variant (admin only). Variants on past orders are deactivated instead.
+router.delete('/:id/variants/:variantId', authenticateToken, requirePermission('products:write'), async (req, res) => {
+  try {
+    const { id, variantId } = req.params;
+
+    const existing = await prisma.productVariant.findFirst({
+      where: { id: variantId, productId: id },
+      include: { _count: { select: { orderItems: true } } }
+    });
+    if (!existing) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    const deactivated = existing._count.orderItems > 0;
+
+    await prisma.$transaction((tx) => {
+      return trackProductChange(tx, { productId: id, action: 'variant-delete', actorId: req.user.id, variants: true }, async () => {
+        if (deactivated) {
+          await tx.productVariant.update({ where: { id: variantId }, data: { isActive: false } });
+        } else {
+          await tx.productVariant.delete({ where: { id: variantId } });
+        }
+        await syncProductStock(tx, id);
+      });
+    });
+
+    res.json({
+      message: deactivated
+        ? 'Variant has order history and was deactivated instead of deleted'
+        : 'Variant deleted successfully'
+    });
+  } catch (error) {
+    console.error('Variant deletion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+// Run the multer upload, turning its errors (size, type, count) into a 400
+const handleImageUpload = (req, res, next) => {
+  upload.array('images', MAX_IMAGES_PER_UPLOAD)(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    next();
+  });
+};
+
+// List images (admin only)
+router.get('/:id/images', authenticateToken, requirePermission('products:read'), async (req, res) => {
+  try {
+    const images = await prisma.productImage.findMany({
+      where: { productId: req.params.id },
+      orderBy: IMAGE_ORDER
+    });
+
+    res.json({ images });
+  } catch (error) {
+    console.error('Images fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upload images (admin only), multipart field `images`
+router.post('/:id/images', authenticateToken, requirePermission('products:write'), handleImageUpload, async (req, res) => {
+  const stored = [];
+  try {
+    const { id } = req.params;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'No images uploaded' });
+    }
+
+    const product = await prisma.product.findUnique({ where: { id }, select: { id: true } });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const storage = getImageStorage();
+    for (const file of files) {
+      const { url, key } = await storage.save(file, 'products');
+      stored.push({ url, storage: storage.name, storageKey: key, alt: file.originalname });
+    }
+
+    const images = await prisma.$transaction(async (tx) => {
+      const last = await tx.productImage.findFirst({
+        where: { productId: id },
+        orderBy: { position: 'desc' },
+        select: { position: true }
+      });
+      const start = last ? last.position + 1 : 0;
+
+      const created = [];
+      for (const [index, image] of stored.entries()) {
+        created.push(await tx.productImage.create({
+          data: { ...image, productId: id, position: start + index }
+        }));
+      }
+
+      await ensurePrimaryImage(tx, id);
+      await trackProductChange(tx, { productId: id, action: 'image-upload', actorId: req.user.id }, () => syncProductImages(tx, id));
+      return created;
+    });
+
+    res.status(201).json({ message: 'Images uploaded successfully', images });
+  } catch (error) {
+    console.error('Image upload error:', error);
+    // Don't leave orphaned files behind when saving the rows fails
+    await Promise.all(stored.map(removeStoredImage));
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reorder images (admin only). `imageIds` must list every image of the product.
+router.put('/:id/images/order', authenticateToken, requirePermission('products:write'), [
+  body('imageIds').isArray({ min: 1 }),
+  body('imageIds.*').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { imageIds } = req.body;
+
+    const result = await prisma.$transaction(async (tx) => {
+      const existing = await tx.productImage.findMany({ where: { productId: id }, select: { id: true } });
+      const existingIds = existing.map((image) => image.id);
+
+      if (imageIds.length !== existingIds.length
+        || new Set(imageIds).size !== imageIds.length
+        || !imageIds.every((imageId) => existingIds.includes(imageId))) {
+        return { status: 400, body: { message: 'imageIds must list every image of the product exactly once' } };
+      }
+
+      for (const [position, imageId] of imageIds.entries()) {
+        await tx.productImage.update({ where: { id: imageId }, data: { position } });
+      }
+      await trackProductChange(tx, { productId: id, action: 'image-reorder', actorId: req.user.id }, () => syncProductImages(tx, id));
+
+      const images = await tx.productImage.findMany({ where: { productId: id }, orderBy: IMAGE_ORDER });
+      return { status: 200, body: { message: 'Images reordered successfully', images } };
+    });
+
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Image reorder error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set primary image (admin only)
+router.put('/:id/images/:imageId/primary', authenticateToken, requirePermission('products:write'), async (req, res) => {
+  try {
+    const { id, imageId } = req.params;
+
+    const image = await prisma.productImage.findFirst({ where: { id: imageId, productId: id } });
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.productImage.updateMany({ where: { productId: id }, data: { isPrimary: false } });
+      await tx.productImage.update({ where: { id: imageId }, data: { isPrimary: true } });
+      await trackProductChange(tx, { productId: id, action: 'image-primary', actorId: req.user.id }, () => syncProductImages(tx, id));
+    });
+
+    res.json({ message: 'Primary image updated successfully' });
+  } catch (error) {
+    console.error('Primary image update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete image (admin only), removing the stored file as well
+router.delete('/:id/images/:imageId', authenticateToken, requirePermission('products:write'), async (req, res) => {
+  try {
+    const { id, imageId } = req.params;
+
+    const image = await prisma.productImage.findFirst({ where: { id: imageId, productId: id } });
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.productImage.delete({ where: { id: imageId } });
+      await ensurePrimaryImage(tx, id);
+      await trackProductChange(tx, { productId: id, action: 'image-delete', actorId: req.user.id }, () => syncProductImages(tx, id));
+    });
+
+    await removeStoredImage(image);
+
+    res.json({ message: 'Image deleted successfully' });
+  } catch (error) {
+    console.error('Image deletion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,191 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateAdmin, requirePermission } = require('../middleware/auth');
+const dbConnection = require('../utils/database');
+const { PERMISSIONS, isValidPermission, getUserPermissions } = require('../utils/permissions');
+
+const router = express.Router();
+const prisma = dbConnection.getInstance();
+
+router.use(authenticateAdmin);
+
+const permissionsValidator = body('permissions')
+  .isArray()
+  .custom((permissions) => {
+    const unknown = permissions.filter((permission) => !isValidPermission(permission));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+    return true;
+  });
+
+// Permission catalog
+router.get('/permissions', async (req, res) => {
+  res.json({
+    permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+  });
+});
+
+// Current admin's effective permissions
+router.get('/me', async (req, res) => {
+  res.json({
+    role: req.user.role,
+    staffRole: req.user.staffRole,
+    permissions: getUserPermissions(req.user)
+  });
+});
+
+// List staff roles
+router.get('/', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const roles = await prisma.staffRole.findMany({
+      orderBy: { name: 'asc' },
+      include: { _count: { select: { users: true } } }
+    });
+
+    res.json({ roles });
+  } catch (error) {
+    console.error('Roles fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create staff role
+router.post('/', requirePermission('staff:manage'), [
+  body('name').trim().isLength({ min: 1 }),
+  body('description').optional().trim(),
+  permissionsValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    const role = await prisma.staffRole.create({
+      data: {
+        name,
+        description: description || null,
+        permissions: [...new Set(permissions)]
+      }
+    });
+
+    res.status(201).json({ message: 'Role created successfully', role });
+  } catch (error) {
+    console.error('Role creation error:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({ message: 'Role name already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update staff role
+router.put('/:id', requirePermission('staff:manage'), [
+  body('name').optional().trim().isLength({ min: 1 }),
+  body('description').optional().trim(),
+  permissionsValidator.optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { name, description, permissions } = req.body;
+
+    const updateData = {};
+    if (name) updateData.name = name;
+    if (description !== undefined) updateData.description = description;
+    if (permissions) updateData.permissions = [...new Set(permissions)];
+
+    const role = await prisma.staffRole.update({
+      where: { id },
+      data: updateData
+    });
+
+    res.json({ message: 'Role updated successfully', role });
+  } catch (error) {
+    console.error('Role update error:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ message: 'Role name already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete staff role
+router.delete('/:id', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Unassigned admins fall back to the default admin permissions, so never orphan them silently
+    const assigned = await prisma.user.count({ where: { staffRoleId: id } });
+    if (assigned > 0) {
+      return res.status(400).json({
+        message: `Role is assigned to ${assigned} staff member(s). Reassign them first.`
+      });
+    }
+
+    await prisma.staffRole.delete({ where: { id } });
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Role deletion error:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Assign a staff role to an admin (null clears it)
+router.put('/assign/:userId', requirePermission('staff:manage'), [
+  body('staffRoleId').optional({ nullable: true }).isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId } = req.params;
+    const { staffRoleId = null } = req.body;
+
+    const target = await prisma.user.findUnique({ where: { id: userId } });
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (target.role !== 'ADMIN') {
+      return res.status(400).json({ message: 'Staff roles can only be assigned to ADMIN users' });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: { staffRoleId },
+      select: {
+        id: true,
+        email: true,
+        role: true,
+        staffRole: { select: { id: true, name: true, permissions: true } }
+      }
+    });
+
+    res.json({ message: 'Staff role assigned', user });
+  } catch (error) {
+    console.error('Role assignment error:', error);
+    if (error.code === 'P2003') {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,234 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateAdmin, requirePermission } = require('../middleware/auth');
+const dbConnection = require('../utils/database');
+const { activeSaleWhere } = require('../utils/pricing');
+const { recordSaleChange } = require('../utils/revisions');
+
+const router = express.Router();
+const prisma = dbConnection.getInstance();
+
+router.use(authenticateAdmin);
+
+const SALE_INCLUDE = {
+  product: { select: { id: true, name: true, sku: true, price: true } },
+  category: { select: { id: true, name: true, slug: true } }
+};
+
+const saleStatus = (sale, now = new Date()) => {
+  if (!sale.isActive) return 'cancelled';
+  if (sale.startsAt > now) return 'upcoming';
+  if (sale.endsAt <= now) return 'expired';
+  return 'active';
+};
+
+// Returns an error message for an invalid sale, or null. `sale` is the merged
+// state after the change; `product` is the targeted product, if any.
+const validateSale = (sale, product) => {
+  if (sale.endsAt <= sale.startsAt) {
+    return 'endsAt must be after startsAt';
+  }
+  if ((sale.salePrice === null) === (sale.discountPercent === null)) {
+    return 'Provide either salePrice or discountPercent';
+  }
+  if (sale.salePrice !== null) {
+    if (!product) {
+      return 'Category sales take a discountPercent, not a fixed salePrice';
+    }
+    if (sale.salePrice >= product.price) {
+      return 'salePrice must be below the product price';
+    }
+  }
+  return null;
+};
+
+const saleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1 }),
+    field('startsAt').isISO8601().toDate(),
+    field('endsAt').isISO8601().toDate(),
+    body('salePrice').optional({ nullable: true }).isFloat({ gt: 0 }).toFloat(),
+    body('discountPercent').optional({ nullable: true }).isFloat({ gt: 0, lt: 100 }).toFloat()
+  ];
+};
+
+// List sales, optionally by status (upcoming | active | expired | cancelled) or target
+router.get('/', requirePermission('products:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, productId, categoryId } = req.query;
+    const skip = (page - 1) * limit;
+    const now = new Date();
+
+    const where = {};
+    if (productId) where.productId = productId;
+    if (categoryId) where.categoryId = categoryId;
+    switch (status) {
+      case 'upcoming':
+        Object.assign(where, { isActive: true, startsAt: { gt: now } });
+        break;
+      case 'active':
+        Object.assign(where, activeSaleWhere(now));
+        break;
+      case 'expired':
+        Object.assign(where, { isActive: true, endsAt: { lte: now } });
+        break;
+      case 'cancelled':
+        where.isActive = false;
+        break;
+    }
+
+    const [sales, total] = await Promise.all([
+      prisma.saleSchedule.findMany({
+        where,
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        orderBy: { startsAt: 'desc' },
+        include: SALE_INCLUDE
+      }),
+      prisma.saleSchedule.count({ where })
+    ]);
+
+    res.json({
+      sales: sales.map((sale) => ({ ...sale, status: saleStatus(sale, now) })),
+      pagination: {
+        total,
+        pages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Sales fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Schedule a sale on a product or across a category (and its subcategories)
+router.post('/', requirePermission('sales:write'), [
+  ...saleValidators(false),
+  body('productId').optional().isString(),
+  body('categoryId').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, startsAt, endsAt, productId, categoryId } = req.body;
+    const salePrice = req.body.salePrice ?? null;
+    const discountPercent = req.body.discountPercent ?? null;
+
+    if (Boolean(productId) === Boolean(categoryId)) {
+      return res.status(400).json({ message: 'Provide either productId or categoryId' });
+    }
+    if (endsAt <= new Date()) {
+      return res.status(400).json({ message: 'endsAt must be in the future' });
+    }
+
+    let product = null;
+    if (productId) {
+      product = await prisma.product.findUnique({ where: { id: productId } });
+      if (!product || product.archivedAt) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+    } else {
+      const category = await prisma.category.findUnique({ where: { id: categoryId } });
+      if (!category || category.archivedAt) {
+        return res.status(404).json({ message: 'Category not found' });
+      }
+    }
+
+    const validationError = validateSale({ startsAt, endsAt, salePrice, discountPercent }, product);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const sale = await prisma.$transaction(async (tx) => {
+      const created = await tx.saleSchedule.create({
+        data: {
+          name,
+          startsAt,
+          endsAt,
+          salePrice,
+          discountPercent,
+          productId: productId || null,
+          categoryId: categoryId || null
+        },
+        include: SALE_INCLUDE
+      });
+      await recordSaleChange(tx, { before: null, after: created, action: 'sale-create', actorId: req.user.id });
+      return created;
+    });
+
+    res.status(201).json({ message: 'Sale scheduled successfully', sale: { ...sale, status: saleStatus(sale) } });
+  } catch (error) {
+    console.error('Sale creation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a sale's window, discount or name, or cancel it with isActive: false
+router.put('/:id', requirePermission('sales:write'), [
+  ...saleValidators(true),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const existing = await prisma.saleSchedule.findUnique({ where: { id }, include: { product: true } });
+    if (!existing) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    const updateData = {};
+    ['name', 'startsAt', 'endsAt', 'salePrice', 'discountPercent', 'isActive'].forEach((field) => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    const validationError = validateSale({ ...existing, ...updateData }, existing.product);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const sale = await prisma.$transaction(async (tx) => {
+      const updated = await tx.saleSchedule.update({
+        where: { id },
+        data: updateData,
+        include: SALE_INCLUDE
+      });
+      await recordSaleChange(tx, { before: existing, after: updated, action: 'sale-update', actorId: req.user.id });
+      return updated;
+    });
+
+    res.json({ message: 'Sale updated successfully', sale: { ...sale, status: saleStatus(sale) } });
+  } catch (error) {
+    console.error('Sale update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a sale
+router.delete('/:id', requirePermission('sales:write'), async (req, res) => {
+  try {
+    await prisma.$transaction(async (tx) => {
+      const deleted = await tx.saleSchedule.delete({ where: { id: req.params.id } });
+      await recordSaleChange(tx, { before: deleted, after: null, action: 'sale-delete', actorId: req.user.id });
+    });
+
+    res.json({ message: 'Sale deleted successfully' });
+  } catch (error) {
+    console.error('Sale deletion error:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,254 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const { authenticateAdmin, requireSuperAdmin } = require('../middleware/auth');
+const dbConnection = require('../utils/database');
+const { sendEmail, staffInviteEmail } = require('../utils/email');
+const { generateToken } = require('../utils/tokens');
+const { revokeUserSessions } = require('../utils/session');
+const { isLastActiveSuperAdmin } = require('../utils/staff');
+
+const router = express.Router();
+const prisma = dbConnection.getInstance();
+
+const INVITE_TTL_HOURS = parseInt(process.env.STAFF_INVITE_TTL_HOURS) || 72;
+
+const STAFF_SELECT = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  isActive: true,
+  twoFactorEnabled: true,
+  createdAt: true,
+  staffRole: { select: { id: true, name: true } }
+};
+
+// Every staff endpoint is SUPER_ADMIN only
+router.use(authenticateAdmin, requireSuperAdmin);
+
+// Sends a single-use link that lets the invitee set their password (via /api/auth/reset-password)
+const sendInvite = async (user, invitedBy) => {
+  const { token, tokenHash } = generateToken();
+
+  await prisma.$transaction([
+    prisma.passwordResetToken.updateMany({
+      where: { userId: user.id, usedAt: null },
+      data: { usedAt: new Date() }
+    }),
+    prisma.passwordResetToken.create({
+      data: {
+        userId: user.id,
+        tokenHash,
+        expiresAt: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000)
+      }
+    })
+  ]);
+
+  await sendEmail({
+    to: user.email,
+    ...staffInviteEmail({
+      firstName: user.firstName,
+      invitedBy: `${invitedBy.firstName} ${invitedBy.lastName}`,
+      token,
+      expiresInHours: INVITE_TTL_HOURS
+    })
+  });
+};
+
+// List staff
+router.get('/', async (req, res) => {
+  try {
+    const staff = await prisma.user.findMany({
+      where: { role: { in: ['ADMIN', 'SUPER_ADMIN'] } },
+      orderBy: [{ role: 'desc' }, { createdAt: 'asc' }],
+      select: STAFF_SELECT
+    });
+
+    res.json({ staff });
+  } catch (error) {
+    console.error('Staff fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Invite staff by email
+router.post('/invite', [
+  body('email').isEmail().normalizeEmail(),
+  body('firstName').notEmpty().trim(),
+  body('lastName').notEmpty().trim(),
+  body('role').optional().isIn(['ADMIN', 'SUPER_ADMIN']),
+  body('staffRoleId').optional({ nullable: true }).isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, firstName, lastName, role = 'ADMIN', staffRoleId } = req.body;
+
+    const existingUser = await prisma.user.findUnique({ where: { email } });
+    if (existingUser) {
+      return res.status(400).json({
+        message: 'A user with this email already exists. Change their role instead.'
+      });
+    }
+
+    // Unusable password until the invite is accepted
+    const placeholderPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+    const user = await prisma.user.create({
+      data: {
+        email,
+        firstName,
+        lastName,
+        password: placeholderPassword,
+        role,
+        staffRoleId: role === 'ADMIN' ? staffRoleId || null : null
+      },
+      select: STAFF_SELECT
+    });
+
+    const inviter = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: { firstName: true, lastName: true }
+    });
+
+    await sendInvite(user, inviter);
+
+    res.status(201).json({ message: 'Invitation sent', user });
+  } catch (error) {
+    console.error('Staff invite error:', error);
+    if (error.code === 'P2003') {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resend an invitation
+router.post('/:id/resend-invite', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.params.id } });
+    if (!user || (user.role !== 'ADMIN' && user.role !== 'SUPER_ADMIN')) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    const inviter = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: { firstName: true, lastName: true }
+    });
+
+    await sendInvite(user, inviter);
+
+    res.json({ message: 'Invitation sent' });
+  } catch (error) {
+    console.error('Staff invite resend error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Promote / demote
+router.patch('/:id/role', [
+  body('role').isIn(['CUSTOMER', 'ADMIN', 'SUPER_ADMIN']),
+  body('staffRoleId').optional({ nullable: true }).isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { role, staffRoleId } = req.body;
+
+    const result = await prisma.$transaction(async (tx) => {
+      const target = await tx.user.findUnique({ where: { id } });
+      if (!target) {
+        return { status: 404, body: { message: 'User not found' } };
+      }
+
+      if (role !== 'SUPER_ADMIN' && await isLastActiveSuperAdmin(tx, id)) {
+        return { status: 400, body: { message: 'Cannot demote the last active super admin' } };
+      }
+
+      const user = await tx.user.update({
+        where: { id },
+        data: {
+          role,
+          staffRoleId: role === 'ADMIN' ? (staffRoleId !== undefined ? staffRoleId : target.staffRoleId) : null
+        },
+        select: STAFF_SELECT
+      });
+
+      return { status: 200, body: { message: 'Role updated', user }, demoted: target.role !== 'CUSTOMER' && role === 'CUSTOMER' };
+    }, { isolationLevel: 'Serializable' });
+
+    // Former staff shouldn't keep an admin session around
+    if (result.demoted) {
+      await revokeUserSessions(id);
+    }
+
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Staff role update error:', error);
+    if (error.code === 'P2003') {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    if (error.code === 'P2034') {
+      return res.status(409).json({ message: 'Conflicting staff change in progress. Please retry.' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Activate / deactivate staff
+router.patch('/:id/status', [
+  body('isActive').isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { isActive } = req.body;
+
+    const result = await prisma.$transaction(async (tx) => {
+      const target = await tx.user.findUnique({ where: { id } });
+      if (!target || (target.role !== 'ADMIN' && target.role !== 'SUPER_ADMIN')) {
+        return { status: 404, body: { message: 'Staff member not found' } };
+      }
+
+      if (!isActive && await isLastActiveSuperAdmin(tx, id)) {
+        return { status: 400, body: { message: 'Cannot deactivate the last active super admin' } };
+      }
+
+      const user = await tx.user.update({
+        where: { id },
+        data: { isActive },
+        select: STAFF_SELECT
+      });
+
+      return { status: 200, body: { message: 'Staff status updated', user } };
+    }, { isolationLevel: 'Serializable' });
+
+    if (result.status === 200 && !isActive) {
+      await revokeUserSessions(id);
+    }
+
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Staff status update error:', error);
+    if (error.code === 'P2034') {
+      return res.status(409).json({ message: 'Conflicting staff change in progress. Please retry.' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,325 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const dbConnection = require('../utils/database');
+const { authenticateAdmin } = require('../middleware/auth');
+const { loginLimiter } = require('../middleware/rateLimit');
+const { createSession } = require('../utils/session');
+const { hashToken, verifyTwoFactorChallengeToken } = require('../utils/tokens');
+const { isLocked, recordFailedLogin, clearFailedLogins, lockedResponse } = require('../utils/loginAttempts');
+const { getSetting } = require('../utils/settings');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes
+} = require('../utils/totp');
+
+const router = express.Router();
+const prisma = dbConnection.getInstance();
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'UpToDate Selection';
+
+const isStaff = (user) => user.role === 'ADMIN' || user.role === 'SUPER_ADMIN';
+
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase();
+
+// Accept either a signed-in admin or the challenge token from /admin/login,
+// so admins can enroll when 2FA is required before they can sign in
+const authenticateAdminOrChallenge = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticateAdmin(req, res, next);
+  }
+
+  try {
+    const decoded = verifyTwoFactorChallengeToken(req.body.challengeToken);
+    if (!decoded) {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      select: { id: true, email: true, role: true, isActive: true }
+    });
+
+    if (!user || !user.isActive || !isStaff(user)) {
+      return res.status(401).json({ message: 'Invalid or inactive user' });
+    }
+
+    req.user = user;
+    req.userId = user.id;
+    req.viaChallenge = true;
+    next();
+  } catch (error) {
+    console.error('Two-factor challenge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const adminUserPayload = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role
+});
+
+// Two-Factor Status
+router.get('/', authenticateAdmin, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: { twoFactorEnabled: true, twoFactorRecoveryCodes: true }
+    });
+
+    res.json({
+      enabled: user.twoFactorEnabled,
+      required: await getSetting('requireAdminTwoFactor'),
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start Enrollment - returns a new secret and its otpauth:// URI for the authenticator app
+router.post('/setup', authenticateAdminOrChallenge, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorPendingSecret: secret }
+    });
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm Enrollment - verify a code from the app, enable 2FA and hand out recovery codes
+router.post('/enable', loginLimiter, authenticateAdminOrChallenge, [
+  body('code').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorPendingSecret: null,
+        twoFactorLastUsedStep: step,
+        twoFactorRecoveryCodes: recoveryCodes.map(hashToken)
+      }
+    });
+
+    const response = {
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    };
+
+    // Enrolling from the login challenge completes the sign-in; enrolling from
+    // a signed-in session counts as having passed the second factor for it
+    if (req.viaChallenge) {
+      await clearFailedLogins(user);
+      Object.assign(response, await createSession(user, req, { twoFactorVerified: true }), { user: adminUserPayload(user) });
+    } else {
+      await prisma.session.updateMany({
+        where: { id: req.sessionId, userId: user.id },
+        data: { twoFactorVerified: true }
+      });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Second Login Step - exchange the challenge token and a TOTP or recovery code for a session
+router.post('/verify', loginLimiter, [
+  body('challengeToken').notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: 'Authentication code or recovery code required' });
+    }
+
+    const decoded = verifyTwoFactorChallengeToken(challengeToken);
+    if (!decoded) {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: decoded.userId } });
+    if (!user || !user.isActive || !isStaff(user) || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    if (isLocked(user)) {
+      return lockedResponse(res, user.lockedUntil);
+    }
+
+    const updateData = {};
+
+    if (code) {
+      const step = verifyTotp(user.twoFactorSecret, code);
+
+      // A code can only be used once, even within its 30s window
+      if (step !== null && (user.twoFactorLastUsedStep === null || step > user.twoFactorLastUsedStep)) {
+        updateData.twoFactorLastUsedStep = step;
+      }
+    } else {
+      const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+      if (user.twoFactorRecoveryCodes.includes(codeHash)) {
+        updateData.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes.filter((hash) => hash !== codeHash);
+      }
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      const lockedUntil = await recordFailedLogin(user);
+      if (lockedUntil) {
+        return lockedResponse(res, lockedUntil);
+      }
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await prisma.user.update({ where: { id: user.id }, data: updateData });
+    await clearFailedLogins(user);
+
+    const tokens = await createSession(user, req, { twoFactorVerified: true });
+
+    res.json({
+      message: 'Admin login successful',
+      ...tokens,
+      user: adminUserPayload(user),
+      ...(updateData.twoFactorRecoveryCodes && {
+        recoveryCodesRemaining: updateData.twoFactorRecoveryCodes.length
+      })
+    });
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Regenerate Recovery Codes (invalidates the old set)
+router.post('/recovery-codes', authenticateAdmin, [
+  body('code').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (verifyTotp(user.twoFactorSecret, req.body.code) === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorRecoveryCodes: recoveryCodes.map(hashToken) }
+    });
+
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Disable Two-Factor Authentication
+router.post('/disable', authenticateAdmin, [
+  body('password').exists(),
+  body('code').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (await getSetting('requireAdminTwoFactor')) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for all admins' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const isValidPassword = await bcrypt.compare(req.body.password, user.password);
+    if (!isValidPassword || verifyTotp(user.twoFactorSecret, req.body.code) === null) {
+      return res.status(400).json({ message: 'Invalid password or authentication code' });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorLastUsedStep: null,
+        twoFactorRecoveryCodes: []
+      }
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const dbConnection = require('../utils/database');
-const { authenticateUser } = require('../middleware/auth');
+const { decimalsToNumbers } = require('../utils/quantity');
+const { authenticateUser, forbidImpersonation } = require('../middleware/auth');
 
 const router = express.Router();
 const prisma = dbConnection.getInstance();
@@ -189,7 +192,7 @@ router.get('/orders', authenticateUser, async (req, res) => {
       where: { userId: req.userId }
     });
 
-    res.json({
+    res.json(decimalsToNumbers({
       orders,
       pagination: {
         total: totalOrders,
@@ -197,7 +200,7 @@ router.get('/orders', authenticateUser, async (req, res) => {
         currentPage: parseInt(page),
         limit: parseInt(limit)
       }
-    });
+    }));
   } catch (error) {
     console.error('Get orders error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -225,7 +228,7 @@ router.get('/orders/:id', authenticateUser, async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    res.json({ order });
+    res.json(decimalsToNumbers({ order }));
   } catch (error) {
     console.error('Get order error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -242,7 +245,7 @@ router.post('/wishlist/:productId', authenticateUser, async (req, res) => {
       where: { id: productId }
     });
 
-    if (!product) {
+    if (!product || product.archivedAt) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
@@ -308,11 +311,168 @@ router.get('/wishlist', authenticateUser, async (req, res) => {
       orderBy: { createdAt: 'desc' }
     });
 
-    res.json({ wishlist: wishlistItems });
+    res.json(decimalsToNumbers({ wishlist: wishlistItems }));
   } catch (error) {
     console.error('Get wishlist error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Export Account Data (profile, addresses, orders, reviews, wishlist)
+router.get('/export', authenticateUser, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        phone: true,
+        emailVerified: true,
+        createdAt: true,
+        updatedAt: true,
+        addresses: true,
+        orders: {
+          include: {
+            address: true,
+            orderItems: {
+              include: {
+                product: { select: { name: true, sku: true, slug: true } }
+              }
+            }
+          },
+          orderBy: { createdAt: 'desc' }
+        },
+        reviews: {
+          include: {
+            product: { select: { name: true, slug: true } }
+          },
+          orderBy: { createdAt: 'desc' }
+        },
+        wishlist: {
+          include: {
+            product: { select: { name: true, slug: true } }
+          },
+          orderBy: { createdAt: 'desc' }
+        },
+        sessions: {
+          select: {
+            userAgent: true,
+            ipAddress: true,
+            createdAt: true,
+            lastUsedAt: true,
+            revokedAt: true
+          },
+          orderBy: { createdAt: 'desc' }
+        }
+      }
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { addresses, orders, reviews, wishlist, sessions, ...profile } = user;
+
+    res.attachment(`uptodate-account-export-${new Date().toISOString().slice(0, 10)}.json`);
+    res.json(decimalsToNumbers({
+      exportedAt: new Date().toISOString(),
+      profile,
+      addresses,
+      orders,
+      reviews,
+      wishlist,
+      sessions
+    }));
+  } catch (error) {
+    console.error('Account export error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete Account - anonymizes personal data but keeps orders for accounting
+router.delete('/account', [
+  authenticateUser,
+  forbidImpersonation,
+  body('password').exists()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.role !== 'CUSTOMER') {
+      return res.status(400).json({ message: 'Staff accounts must be removed by a super admin' });
+    }
+
+    const isValidPassword = await bcrypt.compare(req.body.password, user.password);
+    if (!isValidPassword) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+    await prisma.$transaction(async (tx) => {
+      // Addresses on past orders are kept for invoices, minus anything that identifies the person.
+      // City/state/postal code stay because GST reporting depends on them.
+      await tx.address.updateMany({
+        where: { userId: user.id, orders: { some: {} } },
+        data: {
+          firstName: 'Deleted',
+          lastName: 'User',
+          company: null,
+          address1: 'Redacted',
+          address2: null,
+          phone: null,
+          isDefault: false
+        }
+      });
+      await tx.address.deleteMany({
+        where: { userId: user.id, orders: { none: {} } }
+      });
+
+      // Orders claimed from guest checkout may still carry the email
+      await tx.order.updateMany({
+        where: { userId: user.id, guestEmail: { not: null } },
+        data: { guestEmail: null }
+      });
+
+      await tx.review.deleteMany({ where: { userId: user.id } });
+      await tx.wishlistItem.deleteMany({ where: { userId: user.id } });
+      await tx.session.deleteMany({ where: { userId: user.id } });
+      await tx.passwordResetToken.deleteMany({ where: { userId: user.id } });
+
+      await tx.user.update({
+        where: { id: user.id },
+        data: {
+          email: `deleted-${user.id}@deleted.invalid`,
+          firstName: 'Deleted',
+          lastName: 'User',
+          phone: null,
+          password: unusablePassword,
+          isActive: false,
+          emailVerified: false,
+          emailVerifiedAt: null,
+          failedLoginAttempts: 0,
+          lastFailedLoginAt: null,
+          lockedUntil: null,
+          deletedAt: new Date()
+        }
+      });
+    });
+
+    res.json({ message: 'Account deleted successfully' });
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
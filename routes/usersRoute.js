@@ -1,12 +1,12 @@
 const express = require('express');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const dbConnection = require('../utils/database');
 
 const router = express.Router();
 const prisma = dbConnection.getInstance();
 
 // Admin only - Get all users
-router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('users:read'), async (req, res) => {
   try {
     const { page = 1, limit = 10, search, role } = req.query;
     const skip = (page - 1) * limit;
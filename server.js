@@ -1,3 +1,4 @@
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -7,10 +8,18 @@ const fs = require('fs');
 const path = require('path');
 const dbConnection = require('./utils/database');
 const { ensureDbConnection, handlePrismaErrors } = require('./middleware/database');
-require('dotenv').config();
+const { apiLimiter } = require('./middleware/rateLimit');
+const { startCoPurchaseRefreshJob } = require('./utils/recommendations');
+const { startSearchQueryPruneJob } = require('./utils/searchSuggestions');
 
 const app = express();
 
+// Behind a load balancer, trust its X-Forwarded-For so rate limits see the real client IP
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : parseInt(trustProxy) || trustProxy);
+}
+
 // Security middleware
 app.use(helmet());
 app.use(compression());
@@ -30,9 +39,24 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Logging
 app.use(morgan('combined'));
 
+// Images saved by the local storage driver (development / tests)
+if (process.env.IMAGE_STORAGE === 'local') {
+  const { UPLOAD_DIR } = require('./utils/imageStorage');
+  app.use('/uploads', express.static(UPLOAD_DIR, {
+    // Uploads are only ever images; never let one run as a page
+    setHeaders: (res) => res.set({
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      'Content-Security-Policy': "default-src 'none'; sandbox"
+    })
+  }));
+}
+
 // Database connection middleware for API routes
 app.use('/api', ensureDbConnection);
 
+// Rate limiting for API routes
+app.use('/api', apiLimiter);
+
 // Load routes asynchronously
 const loadRoutes = async () => {
   const routesPath = path.join(__dirname, 'routes');
@@ -69,6 +93,30 @@ const loadRoutes = async () => {
         case 'orderRoute.js':
           app.use('/api/orders', route);
           break;
+        case 'rolesRoute.js':
+          app.use('/api/admin/roles', route);
+          break;
+        case 'staffRoute.js':
+          app.use('/api/admin/staff', route);
+          break;
+        case 'salesRoute.js':
+          app.use('/api/admin/sales', route);
+          break;
+        case 'collectionsRoute.js':
+          app.use('/api/collections', route);
+          break;
+        case 'adminCollectionsRoute.js':
+          app.use('/api/admin/collections', route);
+          break;
+        case 'currenciesRoute.js':
+          app.use('/api/currencies', route);
+          break;
+        case 'adminCurrenciesRoute.js':
+          app.use('/api/admin/currencies', route);
+          break;
+        case 'twoFactorRoute.js':
+          app.use('/api/auth/admin/2fa', route);
+          break;
       }
     }
   }
@@ -142,6 +190,12 @@ const initializeServer = async () => {
       console.log(`📊 Admin Dashboard: http://localhost:${PORT}/api/admin`);
       console.log(`🏥 Health Check: http://localhost:${PORT}/api/health`);
     });
+
+    // Background refresh of "frequently bought together" pairs
+    startCoPurchaseRefreshJob();
+
+    // Drop logged searches past their retention period
+    startSearchQueryPruneJob();
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
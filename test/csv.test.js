@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toCsv, parseCsv } = require('../utils/csv');
+
+test('toCsv quotes cells with commas, quotes and newlines', () => {
+  const csv = toCsv(['sku', 'name'], [{ sku: 'A-1', name: 'Linen, "natural"\nwide' }]);
+  assert.strictEqual(csv, 'sku,name\r\nA-1,"Linen, ""natural""\nwide"\r\n');
+});
+
+test('toCsv writes empty cells for null and undefined', () => {
+  assert.strictEqual(toCsv(['a', 'b', 'c'], [{ a: null, c: 0 }]), 'a,b,c\r\n,,0\r\n');
+});
+
+test('toCsv defuses formula cells and parseCsv restores them', () => {
+  const csv = toCsv(['name'], [{ name: '=HYPERLINK("x")' }]);
+  assert.strictEqual(csv, 'name\r\n"\'=HYPERLINK(""x"")"\r\n');
+  assert.strictEqual(parseCsv(csv).records[0].values.name, '=HYPERLINK("x")');
+});
+
+test('parseCsv keeps spreadsheet row numbers and skips blank lines', () => {
+  const { headers, records } = parseCsv('\uFEFFsku , name\nA,First\n\n,\nB,"Second\nline"\n');
+  assert.deepStrictEqual(headers, ['sku', 'name']);
+  assert.deepStrictEqual(records, [
+    { row: 2, values: { sku: 'A', name: 'First' } },
+    { row: 5, values: { sku: 'B', name: 'Second\nline' } }
+  ]);
+});
+
+test('parseCsv fills missing trailing cells with empty strings', () => {
+  const { records } = parseCsv('sku,name,price\r\nA,Shirt');
+  assert.deepStrictEqual(records[0].values, { sku: 'A', name: 'Shirt', price: '' });
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sendEmail, setTransport, passwordResetEmail } = require('../utils/email');
+
+// Collects messages instead of sending them
+const stubTransport = () => {
+  const sent = [];
+  return {
+    sent,
+    sendMail: async (message) => {
+      sent.push(message);
+      return { messageId: `<${sent.length}@test>` };
+    }
+  };
+};
+
+test('sendEmail goes through the transport set with setTransport', async (t) => {
+  const transport = stubTransport();
+  setTransport(transport);
+  t.after(() => setTransport(null));
+
+  await sendEmail({ to: 'asha@example.com', subject: 'Hello', text: 'Hi', html: '<p>Hi</p>' });
+
+  assert.strictEqual(transport.sent.length, 1);
+  assert.strictEqual(transport.sent[0].to, 'asha@example.com');
+  assert.strictEqual(transport.sent[0].subject, 'Hello');
+  assert.ok(transport.sent[0].from);
+});
+
+test('passwordResetEmail links to the reset page and escapes the name', () => {
+  const email = passwordResetEmail({ firstName: '<b>Asha</b>', token: 'a+b/c', expiresInMinutes: 30 });
+
+  assert.match(email.text, /\/reset-password\?token=a%2Bb%2Fc/);
+  assert.match(email.text, /expires in 30 minutes/);
+  assert.match(email.html, /Hi &lt;b&gt;Asha&lt;\/b&gt;/);
+  assert.doesNotMatch(email.html, /<b>Asha/);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The local driver reads UPLOAD_DIR when the module loads
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+process.env.UPLOAD_DIR = uploadDir;
+test.after(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+
+const { registerImageStorage, getImageStorage, removeStoredImage } = require('../utils/imageStorage');
+
+test('a registered driver can be picked by name and removes what it stored', async () => {
+  const files = new Map();
+  registerImageStorage({
+    name: 'memory',
+    save: async (file, folder) => {
+      const key = `${folder}/${files.size + 1}`;
+      files.set(key, file.buffer);
+      return { url: `memory://${key}`, key };
+    },
+    remove: async (key) => {
+      files.delete(key);
+    }
+  });
+
+  const storage = getImageStorage('memory');
+  const { url, key } = await storage.save({ buffer: Buffer.from('img') }, 'products');
+  assert.strictEqual(url, 'memory://products/1');
+
+  await removeStoredImage({ storage: 'memory', storageKey: key });
+  assert.strictEqual(files.size, 0);
+});
+
+test('getImageStorage rejects unknown drivers', () => {
+  assert.throws(() => getImageStorage('ftp'), /Unknown image storage driver: ftp/);
+});
+
+test('the local driver names files by mimetype, not by the uploaded file name', async () => {
+  const storage = getImageStorage('local');
+  const { url, key } = await storage.save({ buffer: Buffer.from('png'), mimetype: 'image/png', originalname: 'x.html' }, 'products');
+
+  assert.match(key, /^products\/[0-9a-f]{32}\.png$/);
+  assert.strictEqual(url, `/uploads/${key}`);
+  assert.strictEqual(fs.readFileSync(path.join(uploadDir, key), 'utf8'), 'png');
+
+  await storage.remove(key);
+  assert.strictEqual(fs.existsSync(path.join(uploadDir, key)), false);
+});
+
+test('the local driver refuses SVG and keys outside the upload folder', async () => {
+  const storage = getImageStorage('local');
+  await assert.rejects(
+    storage.save({ buffer: Buffer.from('<svg/>'), mimetype: 'image/svg+xml', originalname: 'a.png' }, 'products'),
+    /Unsupported image type: image\/svg\+xml/
+  );
+  await assert.rejects(storage.remove('../outside.png'), /Invalid storage key/);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  PERMISSIONS,
+  DEFAULT_ADMIN_PERMISSIONS,
+  isValidPermission,
+  getUserPermissions,
+  hasPermission
+} = require('../utils/permissions');
+
+test('super admins have every permission', () => {
+  const user = { role: 'SUPER_ADMIN' };
+  assert.deepStrictEqual(getUserPermissions(user), Object.keys(PERMISSIONS));
+  assert.strictEqual(hasPermission(user, 'staff:manage'), true);
+});
+
+test('admins without a staff role keep the defaults, minus restricted permissions', () => {
+  const user = { role: 'ADMIN', staffRole: null };
+  assert.deepStrictEqual(getUserPermissions(user), DEFAULT_ADMIN_PERMISSIONS);
+  assert.strictEqual(hasPermission(user, 'products:write'), true);
+  assert.strictEqual(hasPermission(user, 'staff:manage'), false);
+  assert.strictEqual(hasPermission(user, 'users:impersonate'), false);
+});
+
+test('admins with a staff role get exactly its permissions', () => {
+  const user = { role: 'ADMIN', staffRole: { permissions: ['inventory:write'] } };
+  assert.strictEqual(hasPermission(user, 'inventory:write'), true);
+  assert.strictEqual(hasPermission(user, 'products:write'), false);
+});
+
+test('customers have no permissions', () => {
+  assert.deepStrictEqual(getUserPermissions({ role: 'CUSTOMER' }), []);
+  assert.strictEqual(hasPermission({ role: 'CUSTOMER' }, 'orders:read'), false);
+});
+
+test('isValidPermission only accepts named permissions', () => {
+  assert.strictEqual(isValidPermission('orders:refund'), true);
+  assert.strictEqual(isValidPermission('orders:delete'), false);
+  assert.strictEqual(isValidPermission('toString'), false);
+});
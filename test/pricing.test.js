@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPricingContext, getEffectivePrice, onSaleWhere } = require('../utils/pricing');
+
+const endsAt = new Date('2030-01-01T00:00:00Z');
+
+const CATEGORIES = [
+  { id: 'fabrics', name: 'Fabrics', slug: 'fabrics', parentId: null },
+  { id: 'linen', name: 'Linen', slug: 'linen', parentId: 'fabrics' },
+  { id: 'shirts', name: 'Shirts', slug: 'shirts', parentId: null }
+];
+
+const sale = (fields) => ({
+  id: fields.id,
+  name: fields.id,
+  endsAt,
+  salePrice: null,
+  discountPercent: null,
+  productId: null,
+  categoryId: null,
+  ...fields
+});
+
+// Just enough of a Prisma client for loadPricingContext and onSaleWhere
+const fakeDb = ({ sales = [], currency = null, currencyPrices = [] } = {}) => ({
+  saleSchedule: { findMany: async () => sales },
+  category: { findMany: async () => CATEGORIES },
+  currency: { findUnique: async () => currency },
+  productCurrencyPrice: { findMany: async () => currencyPrices },
+  product: { fields: { price: 'products.price' } }
+});
+
+test('the list price applies when nothing is on sale', async () => {
+  const context = await loadPricingContext(fakeDb());
+  const pricing = getEffectivePrice({ id: 'p1', price: 1000, salePrice: null, categoryId: 'shirts' }, context);
+
+  assert.deepStrictEqual(pricing, { price: 1000, listPrice: 1000, onSale: false, sale: null });
+});
+
+test('a standing sale price below the list price applies, but not to variants priced on their own', async () => {
+  const context = await loadPricingContext(fakeDb());
+  const product = { id: 'p1', price: 1000, salePrice: 800, categoryId: 'shirts' };
+
+  assert.strictEqual(getEffectivePrice(product, context).price, 800);
+  assert.strictEqual(getEffectivePrice(product, context, { price: 1200 }).price, 1200);
+  assert.strictEqual(getEffectivePrice(product, context, { price: null }).price, 800);
+});
+
+test('a category sale reaches products in subcategories and the lowest price wins', async () => {
+  const context = await loadPricingContext(fakeDb({
+    sales: [
+      sale({ id: 'fabric-week', categoryId: 'fabrics', discountPercent: 10 }),
+      sale({ id: 'linen-clearance', productId: 'p1', salePrice: 850 })
+    ]
+  }));
+  const pricing = getEffectivePrice({ id: 'p1', price: 1000, salePrice: null, categoryId: 'linen' }, context);
+
+  assert.strictEqual(pricing.price, 850);
+  assert.strictEqual(pricing.onSale, true);
+  assert.deepStrictEqual(pricing.sale, { id: 'linen-clearance', name: 'linen-clearance', endsAt });
+
+  // Percentages also apply to a variant's own price; fixed sale prices don't
+  assert.strictEqual(getEffectivePrice({ id: 'p1', price: 1000, salePrice: null, categoryId: 'linen' }, context, { price: 2000 }).price, 1800);
+});
+
+test('a fixed sale price at or above the list price is ignored', async () => {
+  const context = await loadPricingContext(fakeDb({ sales: [sale({ id: 'late', productId: 'p1', salePrice: 1000 })] }));
+  const pricing = getEffectivePrice({ id: 'p1', price: 1000, salePrice: null, categoryId: 'shirts' }, context);
+
+  assert.strictEqual(pricing.onSale, false);
+  assert.strictEqual(pricing.sale, null);
+});
+
+test('display prices use a fixed currency price with the same discount, or convert at the rate', async () => {
+  const usd = { id: 'usd', code: 'USD', symbol: '$', rate: 80, decimals: 2, isActive: true };
+  const context = await loadPricingContext(fakeDb({
+    currency: usd,
+    currencyPrices: [{ productId: 'p1', price: 15 }],
+    sales: [sale({ id: 'half', categoryId: 'shirts', discountPercent: 50 })]
+  }), { currency: 'usd' });
+
+  const fixed = getEffectivePrice({ id: 'p1', price: 1000, salePrice: null, categoryId: 'shirts' }, context);
+  assert.deepStrictEqual(fixed.display, { currency: 'USD', symbol: '$', rate: 80, price: 7.5, listPrice: 15 });
+
+  const converted = getEffectivePrice({ id: 'p2', price: 1000, salePrice: null, categoryId: 'shirts' }, context);
+  assert.deepStrictEqual(converted.display, { currency: 'USD', symbol: '$', rate: 80, price: 6.25, listPrice: 12.5 });
+});
+
+test('onSaleWhere covers standing, product and category sales from the loaded context', async () => {
+  const db = fakeDb({
+    sales: [
+      sale({ id: 'pct', productId: 'p1', discountPercent: 20 }),
+      sale({ id: 'fixed', productId: 'p2', salePrice: 500 }),
+      sale({ id: 'fabric-week', categoryId: 'fabrics', discountPercent: 10 })
+    ]
+  });
+  const where = onSaleWhere(db, await loadPricingContext(db));
+
+  assert.deepStrictEqual(where, {
+    OR: [
+      { salePrice: { lt: 'products.price' } },
+      { id: { in: ['p1'] } },
+      { id: 'p2', price: { gt: 500 } },
+      { categoryId: { in: ['fabrics', 'linen'] } }
+    ]
+  });
+});
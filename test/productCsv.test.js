@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toCsv, parseCsv } = require('../utils/csv');
+const { PRODUCT_CSV_COLUMNS, productToCsvRow, parseProductRecord } = require('../utils/productCsv');
+
+test('parseProductRecord leaves blank cells out of the update', () => {
+  const { sku, categorySlug, data, errors } = parseProductRecord({ sku: ' A-1 ', name: 'Shirt', price: '', categorySlug: 'shirts' });
+  assert.strictEqual(sku, 'A-1');
+  assert.strictEqual(categorySlug, 'shirts');
+  assert.deepStrictEqual(data, { name: 'Shirt' });
+  assert.deepStrictEqual(errors, []);
+});
+
+test('parseProductRecord parses numbers, units, lists and booleans', () => {
+  const { data, errors } = parseProductRecord({
+    price: '499.5',
+    stock: '12.34567',
+    unit: 'metre',
+    minQuantity: '0.5',
+    quantityStep: '0.25',
+    colors: 'Red | Blue||',
+    featured: 'yes',
+    isActive: '0'
+  });
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(data, {
+    price: 499.5,
+    stock: 12.346,
+    unit: 'METRE',
+    minQuantity: 0.5,
+    quantityStep: 0.25,
+    colors: ['Red', 'Blue'],
+    featured: true,
+    isActive: false
+  });
+});
+
+test('parseProductRecord reports invalid cells', () => {
+  const { data, errors } = parseProductRecord({ price: '-1', quantityStep: '0', unit: 'yard', featured: 'maybe' });
+  assert.deepStrictEqual(data, {});
+  assert.deepStrictEqual(errors, [
+    'price must be a non-negative number',
+    'quantityStep must be a positive number',
+    'unit must be one of PIECE, METRE',
+    'featured must be true or false'
+  ]);
+});
+
+test('an exported product parses back to the same fields', () => {
+  const product = {
+    sku: 'LIN-1',
+    name: 'Linen, natural',
+    category: { slug: 'linen' },
+    price: 850,
+    salePrice: null,
+    stock: 20.5,
+    unit: 'METRE',
+    minQuantity: 0.5,
+    quantityStep: 0.5,
+    description: '=Soft linen',
+    colors: ['Natural', 'White'],
+    sizes: [],
+    fabric: 'Linen',
+    pattern: null,
+    occasion: null,
+    images: ['https://example.com/a.jpg'],
+    featured: false,
+    isActive: true
+  };
+
+  const { records } = parseCsv(toCsv(PRODUCT_CSV_COLUMNS, [productToCsvRow(product)]));
+  const { sku, categorySlug, data, errors } = parseProductRecord(records[0].values);
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(sku, 'LIN-1');
+  assert.strictEqual(categorySlug, 'linen');
+  assert.deepStrictEqual(data, {
+    name: 'Linen, natural',
+    description: '=Soft linen',
+    fabric: 'Linen',
+    price: 850,
+    stock: 20.5,
+    minQuantity: 0.5,
+    quantityStep: 0.5,
+    unit: 'METRE',
+    colors: ['Natural', 'White'],
+    images: ['https://example.com/a.jpg'],
+    featured: false,
+    isActive: true
+  });
+});
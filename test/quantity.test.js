@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Prisma } = require('@prisma/client');
+const {
+  roundQuantity,
+  roundAmount,
+  decimalsToNumbers,
+  validateQuantity,
+  validateUnitSettings
+} = require('../utils/quantity');
+
+const fabric = { name: 'Linen', unit: 'METRE', minQuantity: new Prisma.Decimal('0.5'), quantityStep: new Prisma.Decimal('0.1') };
+const shirt = { name: 'Shirt', unit: 'PIECE', minQuantity: 1, quantityStep: 1 };
+
+test('roundQuantity keeps 3 decimals and roundAmount 2', () => {
+  assert.strictEqual(roundQuantity(0.1 + 0.2), 0.3);
+  assert.strictEqual(roundQuantity(2.34567), 2.346);
+  assert.strictEqual(roundAmount(10.005 * 3), 30.02);
+});
+
+test('validateQuantity accepts fractional steps without float error', () => {
+  assert.strictEqual(validateQuantity(fabric, 0.7), null);
+  assert.strictEqual(validateQuantity(fabric, 0.1 + 0.2 + 0.3), null);
+  assert.strictEqual(validateQuantity(fabric, 0.75), 'Linen is sold in steps of 0.1 m');
+});
+
+test('validateQuantity enforces minimums and whole pieces', () => {
+  assert.strictEqual(validateQuantity(fabric, 0.4), 'Minimum order for Linen is 0.5 m');
+  assert.strictEqual(validateQuantity(shirt, 1.5), 'Shirt can only be ordered in whole pieces');
+  assert.strictEqual(validateQuantity(shirt, 0), 'Invalid quantity for Shirt');
+  assert.strictEqual(validateQuantity(shirt, NaN), 'Invalid quantity for Shirt');
+  assert.strictEqual(validateQuantity(shirt, 3), null);
+});
+
+test('validateUnitSettings checks units, steps and minimums', () => {
+  assert.strictEqual(validateUnitSettings({ unit: 'METRE', minQuantity: new Prisma.Decimal('0.3'), quantityStep: 0.1 }), null);
+  assert.strictEqual(validateUnitSettings({ unit: 'YARD' }), 'Unit must be one of PIECE, METRE');
+  assert.strictEqual(validateUnitSettings({ quantityStep: 0 }), 'Minimum quantity and quantity step must be greater than 0');
+  assert.strictEqual(
+    validateUnitSettings({ unit: 'PIECE', minQuantity: 1.5, quantityStep: 0.5 }),
+    'Products sold by the piece need whole-number minimum quantity and step'
+  );
+  assert.strictEqual(
+    validateUnitSettings({ unit: 'METRE', minQuantity: 0.5, quantityStep: 0.3 }),
+    'Minimum quantity must be a multiple of the quantity step'
+  );
+});
+
+test('decimalsToNumbers converts nested Decimals and leaves other values alone', () => {
+  const createdAt = new Date(0);
+  const converted = decimalsToNumbers({
+    stock: new Prisma.Decimal('12.500'),
+    variants: [{ stock: new Prisma.Decimal('0.1'), price: null }],
+    createdAt
+  });
+
+  assert.deepStrictEqual(converted, { stock: 12.5, variants: [{ stock: 0.1, price: null }], createdAt });
+  assert.strictEqual(converted.createdAt, createdAt);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { slugify, uniqueSlug } = require('../utils/slugs');
+
+// Just enough of a Prisma client for uniqueSlug: current and former slugs per model
+const fakeDb = ({ products = [], former = [] } = {}) => ({
+  product: { findMany: async () => products.map((slug) => ({ slug })) },
+  productSlugHistory: { findMany: async () => former.map((slug) => ({ slug })) }
+});
+
+test('slugify lower-cases and joins words with dashes', () => {
+  assert.strictEqual(slugify('  Linen Shirt — Natural! '), 'linen-shirt-natural');
+  assert.strictEqual(slugify('100% Cotton'), '100-cotton');
+  assert.strictEqual(slugify('!!!'), '');
+});
+
+test('uniqueSlug returns the plain slug when it is free', async () => {
+  assert.strictEqual(await uniqueSlug(fakeDb(), 'product', 'Linen Shirt'), 'linen-shirt');
+});
+
+test('uniqueSlug suffixes past current and former slugs', async () => {
+  const db = fakeDb({ products: ['linen-shirt', 'linen-shirt-2'], former: ['linen-shirt-3'] });
+  assert.strictEqual(await uniqueSlug(db, 'product', 'Linen Shirt'), 'linen-shirt-4');
+});
+
+test('uniqueSlug honours slugs reserved earlier in the same batch', async () => {
+  const reserved = new Set(['linen-shirt']);
+  assert.strictEqual(await uniqueSlug(fakeDb(), 'product', 'Linen Shirt', { reserved }), 'linen-shirt-2');
+});
+
+test('uniqueSlug falls back to the model name for names without letters or numbers', async () => {
+  assert.strictEqual(await uniqueSlug(fakeDb(), 'product', '***'), 'product');
+});
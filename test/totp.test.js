@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { base32Encode, generateTotp, verifyTotp } = require('../utils/totp');
+
+// RFC 6238 appendix B seed ("12345678901234567890"), 6-digit SHA-1 codes
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+test('generates the RFC 6238 reference codes', () => {
+  assert.strictEqual(generateTotp(SECRET, { time: 59 * 1000 }), '287082');
+  assert.strictEqual(generateTotp(SECRET, { time: 1111111109 * 1000 }), '081804');
+  assert.strictEqual(generateTotp(SECRET, { time: 1234567890 * 1000 }), '005924');
+});
+
+test('verifyTotp returns the matching step at a fixed time', () => {
+  const time = 1111111109 * 1000;
+  assert.strictEqual(verifyTotp(SECRET, '081804', { time }), Math.floor(1111111109 / 30));
+  assert.strictEqual(verifyTotp(SECRET, '081 804', { time }), Math.floor(1111111109 / 30));
+});
+
+test('verifyTotp accepts one step of clock drift and no more', () => {
+  const issuedAt = 1111111109 * 1000;
+  const code = generateTotp(SECRET, { time: issuedAt });
+
+  assert.notStrictEqual(verifyTotp(SECRET, code, { time: issuedAt + 30 * 1000 }), null);
+  assert.notStrictEqual(verifyTotp(SECRET, code, { time: issuedAt - 30 * 1000 }), null);
+  assert.strictEqual(verifyTotp(SECRET, code, { time: issuedAt + 90 * 1000 }), null);
+  assert.strictEqual(verifyTotp(SECRET, code, { time: issuedAt + 30 * 1000, window: 0 }), null);
+});
+
+test('verifyTotp rejects malformed and wrong codes', () => {
+  const time = 1111111109 * 1000;
+  assert.strictEqual(verifyTotp(SECRET, '', { time }), null);
+  assert.strictEqual(verifyTotp(SECRET, '12345', { time }), null);
+  assert.strictEqual(verifyTotp(SECRET, 'abcdef', { time }), null);
+  assert.strictEqual(verifyTotp(SECRET, '000000', { time }), null);
+});
@@ -0,0 +1,88 @@
+// Categories form a tree through `parentId`. The table is small, so the helpers
+// load it once and walk it in memory instead of issuing recursive queries.
+
+const CATEGORY_FIELDS = { id: true, name: true, slug: true, parentId: true };
+
+const loadCategories = (db, where = {}) => {
+  return db.category.findMany({ where, select: CATEGORY_FIELDS });
+};
+
+const indexById = (categories) => new Map(categories.map((category) => [category.id, category]));
+
+// Root-first path of a category, e.g. Fabrics › Shirt › Linen
+const getBreadcrumbs = (categoryId, byId) => {
+  const breadcrumbs = [];
+  const seen = new Set();
+  let current = byId.get(categoryId);
+
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    breadcrumbs.unshift({ id: current.id, name: current.name, slug: current.slug });
+    current = current.parentId ? byId.get(current.parentId) : null;
+  }
+
+  return breadcrumbs;
+};
+
+// The category itself plus every category below it
+const collectDescendantIds = (categoryId, categories) => {
+  const childrenOf = new Map();
+  categories.forEach((category) => {
+    if (!category.parentId) return;
+    if (!childrenOf.has(category.parentId)) childrenOf.set(category.parentId, []);
+    childrenOf.get(category.parentId).push(category.id);
+  });
+
+  const ids = [categoryId];
+  for (let i = 0; i < ids.length; i++) {
+    (childrenOf.get(ids[i]) || []).forEach((childId) => {
+      if (!ids.includes(childId)) ids.push(childId);
+    });
+  }
+  return ids;
+};
+
+const getDescendantIds = async (db, categoryId) => {
+  return collectDescendantIds(categoryId, await loadCategories(db));
+};
+
+// Nest categories under their parents. Categories whose parent isn't in the list
+// (e.g. an inactive parent) become roots so nothing disappears from navigation.
+const buildCategoryTree = (categories) => {
+  const byId = indexById(categories);
+  const nodes = new Map(categories.map((category) => [category.id, {
+    ...category,
+    breadcrumbs: getBreadcrumbs(category.id, byId),
+    children: []
+  }]));
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parentId && nodes.get(node.parentId);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+// Moving `categoryId` under `parentId` is a cycle if the new parent is the
+// category itself or one of its descendants
+const wouldCreateCycle = async (db, categoryId, parentId) => {
+  if (!parentId) return false;
+  const descendants = await getDescendantIds(db, categoryId);
+  return descendants.includes(parentId);
+};
+
+module.exports = {
+  loadCategories,
+  collectDescendantIds,
+  getBreadcrumbs,
+  getDescendantIds,
+  buildCategoryTree,
+  wouldCreateCycle,
+  indexById
+};
@@ -1,5 +1,6 @@
 const cloudinary = require('cloudinary').v2;
 const multer = require('multer');
+const { IMAGE_EXTENSIONS } = require('./imageStorage');
 
 // Configure Cloudinary
 cloudinary.config({
@@ -16,10 +17,10 @@ const upload = multer({
     fileSize: 5 * 1024 * 1024, // 5MB limit
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
+    if (IMAGE_EXTENSIONS[file.mimetype]) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed'), false);
+      cb(new Error(`Only ${Object.values(IMAGE_EXTENSIONS).join(', ')} images are allowed`), false);
     }
   },
 });
@@ -0,0 +1,76 @@
+const { FACET_FIELDS } = require('./productFilters');
+const { getDescendantIds } = require('./categories');
+
+// Rule-based members beyond this are not listed (same idea as the search result cap)
+const MAX_RULE_PRODUCTS = 1000;
+
+const RULE_FIELDS = [...Object.keys(FACET_FIELDS), 'category'];
+
+// Rules use the attribute filter names with lists of values, plus `category`
+// (a category id, subcategories included). A product must match every rule.
+// Returns an error message, or null when the rules are valid.
+const validateCollectionRules = (rules) => {
+  if (rules === null || rules === undefined) return null;
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    return 'rules must be an object';
+  }
+
+  for (const [field, value] of Object.entries(rules)) {
+    if (!RULE_FIELDS.includes(field)) {
+      return `Unknown rule ${field}. Rules can use ${RULE_FIELDS.join(', ')}`;
+    }
+    if (field === 'category') {
+      if (typeof value !== 'string' || !value) return 'rules.category must be a category id';
+    } else if (!Array.isArray(value) || value.length === 0 || !value.every((item) => typeof item === 'string' && item.trim())) {
+      return `rules.${field} must be a non-empty list of values`;
+    }
+  }
+  return null;
+};
+
+const hasRules = (rules) => Boolean(rules) && Object.keys(rules).length > 0;
+
+const rulesWhere = async (db, rules) => {
+  const conditions = [];
+  for (const [field, value] of Object.entries(rules)) {
+    if (field === 'category') {
+      conditions.push({ categoryId: { in: await getDescendantIds(db, value) } });
+    } else {
+      conditions.push(FACET_FIELDS[field] === 'array' ? { [field]: { hasSome: value } } : { [field]: { in: value } });
+    }
+  }
+  return { AND: conditions };
+};
+
+// Member product ids in display order: hand-picked products by position, then
+// products matching the rules, newest first
+const getCollectionProductIds = async (db, collection) => {
+  const picked = await db.collectionProduct.findMany({
+    where: { collectionId: collection.id },
+    orderBy: [{ position: 'asc' }, { addedAt: 'asc' }],
+    select: { productId: true }
+  });
+  const ids = picked.map((item) => item.productId);
+
+  if (hasRules(collection.rules)) {
+    const matches = await db.product.findMany({
+      where: {
+        ...(await rulesWhere(db, collection.rules)),
+        isActive: true,
+        archivedAt: null,
+        id: { notIn: ids }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: MAX_RULE_PRODUCTS,
+      select: { id: true }
+    });
+    ids.push(...matches.map((product) => product.id));
+  }
+
+  return ids;
+};
+
+module.exports = {
+  validateCollectionRules,
+  getCollectionProductIds
+};
@@ -0,0 +1,97 @@
+// Minimal RFC 4180 CSV reading and writing for admin imports/exports
+
+// Spreadsheets run cells starting with these as formulas; exported text cells
+// get a leading apostrophe, which parseCsv strips again on the way back in.
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// `columns` is a list of header names; each row is an object keyed by them
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(escapeCell).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => escapeCell(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Parse CSV text into arrays of cells, handling quoted fields, escaped quotes
+// and newlines inside quotes
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Parse CSV text with a header line into `{ headers, records }`. Blank lines are
+// skipped; each record keeps its spreadsheet row number (header = 1) for error reporting.
+const parseCsv = (text) => {
+  const [headerRow = [], ...dataRows] = parseRows(String(text).replace(/^\uFEFF/, ''));
+  const headers = headerRow.map((header) => header.trim());
+
+  const records = [];
+  dataRows.forEach((cells, index) => {
+    if (cells.every((cell) => cell.trim() === '')) return;
+
+    const values = {};
+    headers.forEach((header, column) => {
+      const value = cells[column] === undefined ? '' : cells[column];
+      values[header] = /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+    });
+    records.push({ row: index + 2, values });
+  });
+
+  return { headers, records };
+};
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
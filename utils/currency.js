@@ -0,0 +1,50 @@
+// Rupees are the base currency: every stored price and order amount is in INR.
+// Other currencies are for display, converted at the admin-maintained rate unless
+// a product has a fixed price in that currency.
+
+const BASE_CURRENCY = 'INR';
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+const normalizeCurrencyCode = (code) => String(code || '').trim().toUpperCase();
+
+const isValidCurrencyCode = (code) => CURRENCY_CODE.test(code);
+
+const unsupportedCurrency = (code) => {
+  const error = new Error(`Unsupported currency ${code}`);
+  error.statusCode = 400;
+  return error;
+};
+
+// The active currency for `code`, or null for the base currency. Anything else is a 400 error.
+const loadCurrency = async (db, code) => {
+  const normalized = normalizeCurrencyCode(code);
+  if (!normalized || normalized === BASE_CURRENCY) {
+    return null;
+  }
+  if (!isValidCurrencyCode(normalized)) {
+    throw unsupportedCurrency(normalized);
+  }
+
+  const currency = await db.currency.findUnique({ where: { code: normalized } });
+  if (!currency || !currency.isActive) {
+    throw unsupportedCurrency(normalized);
+  }
+  return currency;
+};
+
+const roundToCurrency = (amount, currency) => {
+  const factor = 10 ** currency.decimals;
+  return Math.round(amount * factor) / factor;
+};
+
+// Rupees to `currency`, unrounded
+const convertFromBase = (amount, currency) => amount / currency.rate;
+
+module.exports = {
+  BASE_CURRENCY,
+  normalizeCurrencyCode,
+  isValidCurrencyCode,
+  loadCurrency,
+  roundToCurrency,
+  convertFromBase
+};
@@ -0,0 +1,106 @@
+const nodemailer = require('nodemailer');
+const fs = require('fs');
+const path = require('path');
+
+let transporter = null;
+
+// Build a transport from EMAIL_TRANSPORT (smtp | file | json)
+const createTransport = () => {
+  switch (process.env.EMAIL_TRANSPORT) {
+    case 'file':
+      // Writes each message as an .eml file, handy for local development
+      return nodemailer.createTransport({ streamTransport: true, buffer: true });
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+  }
+};
+
+const getTransport = () => {
+  if (!transporter) {
+    transporter = createTransport();
+  }
+  return transporter;
+};
+
+// Swap the transport (e.g. a nodemailer stub transport in tests)
+const setTransport = (transport) => {
+  transporter = transport;
+};
+
+// Send an email through the configured transport
+const sendEmail = async ({ to, subject, text, html }) => {
+  const info = await getTransport().sendMail({
+    from: process.env.EMAIL_FROM || 'UpToDate Selection <no-reply@uptodateselection.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (process.env.EMAIL_TRANSPORT === 'file' && info.message) {
+    const dir = process.env.EMAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'emails');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`), info.message);
+  }
+
+  return info;
+};
+
+// Build an absolute link into the storefront
+const frontendUrl = (pathname) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pathname}`;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Email templates
+const passwordResetEmail = ({ firstName, token, expiresInMinutes }) => {
+  const resetUrl = frontendUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+  return {
+    subject: 'Reset your UpToDate Selection password',
+    text: `Hi ${firstName},\n\nWe received a request to reset your password. Use the link below to choose a new one:\n\n${resetUrl}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(firstName)},</p><p>We received a request to reset your password. Use the link below to choose a new one:</p><p><a href="${resetUrl}">Reset password</a></p><p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't request this, you can ignore this email.</p>`
+  };
+};
+
+const emailVerificationEmail = ({ firstName, token }) => {
+  const verifyUrl = frontendUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+  return {
+    subject: 'Verify your UpToDate Selection email address',
+    text: `Hi ${firstName},\n\nThanks for signing up! Please confirm your email address by opening the link below:\n\n${verifyUrl}\n\nIf you didn't create an account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(firstName)},</p><p>Thanks for signing up! Please confirm your email address by opening the link below:</p><p><a href="${verifyUrl}">Verify email</a></p><p>If you didn't create an account, you can ignore this email.</p>`
+  };
+};
+
+const staffInviteEmail = ({ firstName, invitedBy, token, expiresInHours }) => {
+  const acceptUrl = frontendUrl(`/admin/accept-invite?token=${encodeURIComponent(token)}`);
+  return {
+    subject: "You've been invited to the UpToDate Selection admin",
+    text: `Hi ${firstName},\n\n${invitedBy} has invited you to join the UpToDate Selection admin dashboard. Set your password to get started:\n\n${acceptUrl}\n\nThis invitation expires in ${expiresInHours} hours.`,
+    html: `<p>Hi ${escapeHtml(firstName)},</p><p>${escapeHtml(invitedBy)} has invited you to join the UpToDate Selection admin dashboard. Set your password to get started:</p><p><a href="${acceptUrl}">Accept invitation</a></p><p>This invitation expires in ${expiresInHours} hours.</p>`
+  };
+};
+
+module.exports = {
+  sendEmail,
+  setTransport,
+  frontendUrl,
+  escapeHtml,
+  passwordResetEmail,
+  emailVerificationEmail,
+  staffInviteEmail
+};
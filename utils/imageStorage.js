@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Image storage drivers. Each driver stores an uploaded multer file and returns
+// `{ url, key }`; `remove(key)` deletes it again. Pick one with IMAGE_STORAGE.
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'));
+const UPLOADS_BASE_URL = (process.env.UPLOADS_BASE_URL || '/uploads').replace(/\/$/, '');
+
+// Accepted upload types and the extension each is stored under. SVG is left out
+// on purpose: it can carry scripts when served from our own origin.
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'image/avif': '.avif'
+};
+
+const cloudinaryStorage = {
+  name: 'cloudinary',
+  save: async (file, folder) => {
+    // Required lazily so the local driver works without Cloudinary credentials
+    const { uploadToCloudinary } = require('./cloudinary');
+    const result = await uploadToCloudinary(file.buffer, folder);
+    return { url: result.secure_url, key: result.public_id };
+  },
+  remove: async (key) => {
+    const { deleteFromCloudinary } = require('./cloudinary');
+    await deleteFromCloudinary(key);
+  }
+};
+
+// Keep the resolved path inside UPLOAD_DIR whatever the key looks like
+const localPath = (key) => {
+  const filePath = path.resolve(UPLOAD_DIR, key);
+  if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const localStorage = {
+  name: 'local',
+  save: async (file, folder) => {
+    // The extension decides the Content-Type /uploads serves, so never take it from the client's file name
+    const ext = IMAGE_EXTENSIONS[file.mimetype];
+    if (!ext) {
+      throw new Error(`Unsupported image type: ${file.mimetype}`);
+    }
+    const key = `${folder}/${crypto.randomBytes(16).toString('hex')}${ext}`;
+    const filePath = localPath(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, file.buffer);
+
+    return { url: `${UPLOADS_BASE_URL}/${key}`, key };
+  },
+  remove: async (key) => {
+    await fs.promises.rm(localPath(key), { force: true });
+  }
+};
+
+const drivers = {
+  cloudinary: cloudinaryStorage,
+  local: localStorage
+};
+
+// Register another driver (e.g. an in-memory one in tests)
+const registerImageStorage = (driver) => {
+  drivers[driver.name] = driver;
+};
+
+const getImageStorage = (name = process.env.IMAGE_STORAGE || 'cloudinary') => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown image storage driver: ${name}`);
+  }
+  return driver;
+};
+
+// Remove a stored image with the driver that saved it. Failures are logged, not
+// thrown, since the database row is already gone by the time this runs.
+const removeStoredImage = async ({ storage, storageKey }) => {
+  if (!storage || !storageKey) return;
+  try {
+    await getImageStorage(storage).remove(storageKey);
+  } catch (error) {
+    console.error('Image removal error:', error);
+  }
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  IMAGE_EXTENSIONS,
+  registerImageStorage,
+  getImageStorage,
+  removeStoredImage
+};
@@ -0,0 +1,73 @@
+// Stock helpers shared by order placement, cancellation and variant management.
+// All take a transaction client so stock moves commit together with the order.
+
+// Products with variants keep `stock` as the sum of their active variants, so
+// listings and low-stock alerts keep working without knowing about variants.
+// Call after a variant change: once the last active variant is gone the product
+// has no stock of its own (0) until an admin sets it again.
+const syncProductStock = async (tx, productId) => {
+  const variants = await tx.productVariant.aggregate({
+    where: { productId, isActive: true },
+    _sum: { stock: true }
+  });
+
+  await tx.product.update({
+    where: { id: productId },
+    data: { stock: variants._sum.stock || 0 }
+  });
+};
+
+// Take stock for an order line. Returns false (and changes nothing) if there isn't enough.
+const reserveStock = async (tx, { productId, variantId, quantity }) => {
+  if (variantId) {
+    const reserved = await tx.productVariant.updateMany({
+      where: { id: variantId, stock: { gte: quantity } },
+      data: { stock: { decrement: quantity } }
+    });
+    if (reserved.count === 0) {
+      return false;
+    }
+    await syncProductStock(tx, productId);
+    return true;
+  }
+
+  const reserved = await tx.product.updateMany({
+    where: { id: productId, stock: { gte: quantity } },
+    data: { stock: { decrement: quantity } }
+  });
+  return reserved.count > 0;
+};
+
+// Put stock back for a cancelled order line
+const releaseStock = async (tx, { productId, variantId, quantity }) => {
+  if (variantId) {
+    await tx.productVariant.update({
+      where: { id: variantId },
+      data: { stock: { increment: quantity } }
+    });
+    await syncProductStock(tx, productId);
+    return;
+  }
+
+  await tx.product.update({
+    where: { id: productId },
+    data: { stock: { increment: quantity } }
+  });
+};
+
+// Find the variant an order line refers to, by id or by its size/color
+const findVariantForItem = (variants, item) => {
+  if (item.variantId) {
+    return variants.find((variant) => variant.id === item.variantId);
+  }
+  return variants.find((variant) => (
+    variant.size === (item.size || '') && variant.color === (item.color || '')
+  ));
+};
+
+module.exports = {
+  syncProductStock,
+  reserveStock,
+  releaseStock,
+  findVariantForItem
+};
@@ -0,0 +1,72 @@
+const dbConnection = require('./database');
+
+const prisma = dbConnection.getInstance();
+
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOCKOUT_MS = LOCKOUT_MINUTES * 60 * 1000;
+
+const isLocked = (user) => {
+  return Boolean(user.lockedUntil && user.lockedUntil > new Date());
+};
+
+// Count a failed password attempt and lock the account once the limit is hit
+// (attempts made while locked keep it locked for another full window).
+// Returns the new lockedUntil, or null if the account is still open.
+const recordFailedLogin = async (user) => {
+  const now = new Date();
+
+  // Failures older than the lockout window (or from before an expired lock) don't count
+  const startOver = !user.lastFailedLoginAt
+    || now - user.lastFailedLoginAt > LOCKOUT_MS
+    || (user.lockedUntil && user.lockedUntil <= now);
+
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: startOver ? 1 : { increment: 1 },
+      lastFailedLoginAt: now,
+      lockedUntil: startOver ? null : undefined
+    },
+    select: { failedLoginAttempts: true }
+  });
+
+  if (updated.failedLoginAttempts < MAX_FAILED_LOGINS) {
+    return null;
+  }
+
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lockedUntil }
+  });
+
+  return lockedUntil;
+};
+
+const clearFailedLogins = async (user) => {
+  if (user.failedLoginAttempts === 0 && !user.lockedUntil) {
+    return;
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null }
+  });
+};
+
+const lockedResponse = (res, lockedUntil) => {
+  return res.status(423).json({
+    message: 'Account temporarily locked due to too many failed login attempts',
+    code: 'ACCOUNT_LOCKED',
+    lockedUntil
+  });
+};
+
+module.exports = {
+  MAX_FAILED_LOGINS,
+  isLocked,
+  recordFailedLogin,
+  clearFailedLogins,
+  lockedResponse
+};
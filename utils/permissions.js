@@ -0,0 +1,48 @@
+// Named permissions that can be granted to staff roles
+const PERMISSIONS = {
+  'analytics:read': 'View dashboard and sales analytics',
+  'products:read': 'View the admin product catalog',
+  'products:write': 'Create, edit and price products',
+  'sales:write': 'Schedule sales and discounts',
+  'inventory:write': 'Adjust product stock levels',
+  'categories:write': 'Create, edit and delete categories',
+  'collections:write': 'Create and curate collections',
+  'currencies:write': 'Maintain exchange rates and currency prices',
+  'orders:read': 'View orders',
+  'orders:write': 'Update order status',
+  'orders:refund': 'Mark orders as refunded',
+  'users:read': 'View customer accounts',
+  'users:manage': 'Activate, deactivate and unlock accounts',
+  'users:impersonate': 'Sign in as a customer for support (audited)',
+  'staff:manage': 'Manage staff roles and permissions'
+};
+
+// Granted only through an explicit staff role (or SUPER_ADMIN)
+const RESTRICTED_PERMISSIONS = ['staff:manage', 'users:impersonate'];
+
+// ADMIN users without an assigned staff role keep the broad access they had before roles existed
+const DEFAULT_ADMIN_PERMISSIONS = Object.keys(PERMISSIONS).filter((permission) => !RESTRICTED_PERMISSIONS.includes(permission));
+
+const isValidPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+const getUserPermissions = (user) => {
+  if (user.role === 'SUPER_ADMIN') {
+    return Object.keys(PERMISSIONS);
+  }
+  if (user.role === 'ADMIN') {
+    return user.staffRole ? user.staffRole.permissions : DEFAULT_ADMIN_PERMISSIONS;
+  }
+  return [];
+};
+
+const hasPermission = (user, permission) => {
+  return user.role === 'SUPER_ADMIN' || getUserPermissions(user).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ADMIN_PERMISSIONS,
+  isValidPermission,
+  getUserPermissions,
+  hasPermission
+};
@@ -0,0 +1,184 @@
+const { loadCategories, indexById, getBreadcrumbs, collectDescendantIds } = require('./categories');
+const { roundAmount } = require('./quantity');
+const { loadCurrency, roundToCurrency, convertFromBase } = require('./currency');
+
+// One effective-price calculation for listings, product detail and checkout.
+// The price a customer pays is the lowest of: the list price (variant price
+// override or product price), the product's standing `salePrice`, and any sale
+// schedule running right now for the product or one of its categories.
+// Prices are worked out in rupees; a requested display currency is applied last.
+
+const activeSaleWhere = (now = new Date()) => ({
+  isActive: true,
+  startsAt: { lte: now },
+  endsAt: { gt: now }
+});
+
+const SALE_FIELDS = {
+  id: true,
+  name: true,
+  endsAt: true,
+  salePrice: true,
+  discountPercent: true,
+  productId: true,
+  categoryId: true
+};
+
+const groupBy = (items, key) => {
+  const groups = new Map();
+  items.forEach((item) => {
+    if (!item[key]) return;
+    if (!groups.has(item[key])) groups.set(item[key], []);
+    groups.get(item[key]).push(item);
+  });
+  return groups;
+};
+
+// Fixed per-product prices in `currency`, by product id
+const loadCurrencyPrices = async (db, currency) => {
+  if (!currency) {
+    return new Map();
+  }
+  const prices = await db.productCurrencyPrice.findMany({
+    where: { currencyId: currency.id },
+    select: { productId: true, price: true }
+  });
+  return new Map(prices.map((entry) => [entry.productId, entry.price]));
+};
+
+// Load the sales running at `now` (and the display `currency`, a code such as
+// "USD"); pass the result to getEffectivePrice. Unknown currencies throw a 400 error.
+const loadPricingContext = async (db, { now = new Date(), currency: currencyCode } = {}) => {
+  const currency = await loadCurrency(db, currencyCode);
+  const [sales, categories, currencyPrices] = await Promise.all([
+    db.saleSchedule.findMany({ where: activeSaleWhere(now), select: SALE_FIELDS }),
+    loadCategories(db),
+    loadCurrencyPrices(db, currency)
+  ]);
+
+  return {
+    now,
+    productSales: groupBy(sales, 'productId'),
+    categorySales: groupBy(sales, 'categoryId'),
+    categories: indexById(categories),
+    currency,
+    currencyPrices
+  };
+};
+
+// Sales on the product itself or on its category or any parent category
+const salesForProduct = (product, context) => {
+  const categoryIds = getBreadcrumbs(product.categoryId, context.categories).map((category) => category.id);
+  return [
+    ...(context.productSales.get(product.id) || []),
+    ...categoryIds.flatMap((categoryId) => context.categorySales.get(categoryId) || [])
+  ];
+};
+
+// The price in the context's display currency. A fixed currency price replaces the
+// converted list price (for variants without their own price) and gets the same
+// discount as the rupee price.
+const toDisplayPrice = ({ price, listPrice }, product, context, hasOwnPrice) => {
+  const { currency } = context;
+  const fixedPrice = hasOwnPrice ? undefined : context.currencyPrices.get(product.id);
+  const displayListPrice = fixedPrice !== undefined ? fixedPrice : convertFromBase(listPrice, currency);
+  const ratio = listPrice > 0 ? price / listPrice : 1;
+
+  return {
+    currency: currency.code,
+    symbol: currency.symbol,
+    rate: currency.rate,
+    price: roundToCurrency(displayListPrice * ratio, currency),
+    listPrice: roundToCurrency(displayListPrice, currency)
+  };
+};
+
+// `price` and `listPrice` are always rupees; `display` is added when the context has a currency
+const getEffectivePrice = (product, context, variant = null) => {
+  const hasOwnPrice = Boolean(variant) && variant.price !== null && variant.price !== undefined;
+  const listPrice = hasOwnPrice ? variant.price : product.price;
+
+  let price = listPrice;
+  let sale = null;
+
+  // Fixed sale prices are set against the product price, so they don't apply
+  // to variants priced on their own; percentage discounts always do
+  if (!hasOwnPrice && product.salePrice !== null && product.salePrice !== undefined && product.salePrice < price) {
+    price = product.salePrice;
+  }
+
+  for (const schedule of salesForProduct(product, context)) {
+    const candidate = schedule.discountPercent !== null
+      ? listPrice * (1 - schedule.discountPercent / 100)
+      : (hasOwnPrice ? null : schedule.salePrice);
+
+    if (candidate !== null && candidate < price) {
+      price = candidate;
+      sale = { id: schedule.id, name: schedule.name, endsAt: schedule.endsAt };
+    }
+  }
+
+  price = roundAmount(price);
+  const pricing = { price, listPrice, onSale: price < listPrice, sale };
+  if (context.currency) {
+    pricing.display = toDisplayPrice(pricing, product, context, hasOwnPrice);
+  }
+  return pricing;
+};
+
+// Attach `pricing` to each product (and to its variants, when loaded)
+const withEffectivePrices = (products, context) => {
+  return products.map((product) => ({
+    ...product,
+    pricing: getEffectivePrice(product, context),
+    ...(Array.isArray(product.variants) && {
+      variants: product.variants.map((variant) => ({
+        ...variant,
+        pricing: getEffectivePrice(product, context, variant)
+      }))
+    })
+  }));
+};
+
+// Prisma condition for "on sale right now", matching the product-level `onSale` of
+// getEffectivePrice: a standing sale price below the list price, a percentage sale
+// on the product or one of its categories, or a fixed schedule price below the list
+// price. Built from a loaded pricing context so listings don't query sales twice.
+const onSaleWhere = (db, context) => {
+  const discountedIds = [];
+  const fixedPrices = [];
+  context.productSales.forEach((sales, productId) => {
+    sales.forEach((sale) => {
+      if (sale.discountPercent !== null) {
+        discountedIds.push(productId);
+      } else if (sale.salePrice !== null) {
+        fixedPrices.push({ id: productId, price: { gt: sale.salePrice } });
+      }
+    });
+  });
+
+  const categories = [...context.categories.values()];
+  const categoryIds = new Set();
+  context.categorySales.forEach((sales, categoryId) => {
+    if (sales.some((sale) => sale.discountPercent !== null)) {
+      collectDescendantIds(categoryId, categories).forEach((id) => categoryIds.add(id));
+    }
+  });
+
+  return {
+    OR: [
+      { salePrice: { lt: db.product.fields.price } },
+      { id: { in: discountedIds } },
+      ...fixedPrices,
+      { categoryId: { in: [...categoryIds] } }
+    ]
+  };
+};
+
+module.exports = {
+  activeSaleWhere,
+  loadPricingContext,
+  getEffectivePrice,
+  withEffectivePrices,
+  onSaleWhere
+};
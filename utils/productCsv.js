@@ -0,0 +1,211 @@
+const { UNITS, roundQuantity, validateUnitSettings } = require('./quantity');
+const { uniqueSlug } = require('./slugs');
+
+// Column layout shared by the admin CSV export and import. List cells use `|`.
+const PRODUCT_CSV_COLUMNS = [
+  'sku',
+  'name',
+  'categorySlug',
+  'price',
+  'salePrice',
+  'stock',
+  'unit',
+  'minQuantity',
+  'quantityStep',
+  'description',
+  'colors',
+  'sizes',
+  'fabric',
+  'pattern',
+  'occasion',
+  'images',
+  'featured',
+  'isActive'
+];
+
+const MAX_IMPORT_ROWS = 5000;
+const LIST_SEPARATOR = '|';
+
+// Product (with `category.slug`) -> CSV row object
+const productToCsvRow = (product) => ({
+  sku: product.sku,
+  name: product.name,
+  categorySlug: product.category ? product.category.slug : '',
+  price: product.price,
+  salePrice: product.salePrice,
+  stock: product.stock,
+  unit: product.unit,
+  minQuantity: product.minQuantity,
+  quantityStep: product.quantityStep,
+  description: product.description,
+  colors: product.colors.join(LIST_SEPARATOR),
+  sizes: product.sizes.join(LIST_SEPARATOR),
+  fabric: product.fabric,
+  pattern: product.pattern,
+  occasion: product.occasion,
+  images: product.images.join(LIST_SEPARATOR),
+  featured: product.featured,
+  isActive: product.isActive
+});
+
+const parseList = (value) => value.split(LIST_SEPARATOR).map((item) => item.trim()).filter(Boolean);
+
+const parseBoolean = (value) => {
+  const normalized = value.toLowerCase();
+  if (['true', 'yes', '1'].includes(normalized)) return true;
+  if (['false', 'no', '0'].includes(normalized)) return false;
+  return undefined;
+};
+
+// Turn one CSV record into product fields. Blank cells are left out so an update
+// only touches the columns that were filled in.
+const parseProductRecord = (values) => {
+  const data = {};
+  const errors = [];
+  const cell = (column) => (values[column] === undefined ? '' : String(values[column]).trim());
+
+  const number = (column, { min = 0, strictlyPositive = false } = {}) => {
+    const raw = cell(column);
+    if (raw === '') return;
+    const parsed = Number(raw);
+    if (!Number.isFinite(parsed) || parsed < min || (strictlyPositive && parsed <= 0)) {
+      errors.push(`${column} must be a ${strictlyPositive ? 'positive' : 'non-negative'} number`);
+      return;
+    }
+    data[column] = parsed;
+  };
+
+  ['name', 'description', 'fabric', 'pattern', 'occasion'].forEach((column) => {
+    if (cell(column) !== '') data[column] = cell(column);
+  });
+
+  number('price');
+  number('salePrice');
+  number('stock');
+  number('minQuantity', { strictlyPositive: true });
+  number('quantityStep', { strictlyPositive: true });
+  if (data.stock !== undefined) data.stock = roundQuantity(data.stock);
+
+  if (cell('unit') !== '') {
+    const unit = cell('unit').toUpperCase();
+    if (UNITS[unit]) {
+      data.unit = unit;
+    } else {
+      errors.push(`unit must be one of ${Object.keys(UNITS).join(', ')}`);
+    }
+  }
+
+  ['colors', 'sizes', 'images'].forEach((column) => {
+    if (cell(column) !== '') data[column] = parseList(cell(column));
+  });
+
+  ['featured', 'isActive'].forEach((column) => {
+    if (cell(column) === '') return;
+    const parsed = parseBoolean(cell(column));
+    if (parsed === undefined) {
+      errors.push(`${column} must be true or false`);
+    } else {
+      data[column] = parsed;
+    }
+  });
+
+  return { sku: cell('sku'), categorySlug: cell('categorySlug'), data, errors };
+};
+
+// Validate every record against the catalog and decide whether it creates or
+// updates a product. Nothing is written here; the result drives both the dry-run
+// report and the commit.
+const planProductImport = async (db, records) => {
+  const skus = records.map((record) => String(record.values.sku || '').trim()).filter(Boolean);
+  const slugs = [...new Set(records.map((record) => String(record.values.categorySlug || '').trim()).filter(Boolean))];
+
+  const [existingProducts, categories, formerCategorySlugs] = await Promise.all([
+    db.product.findMany({
+      where: { sku: { in: skus } },
+      select: {
+        id: true,
+        sku: true,
+        unit: true,
+        minQuantity: true,
+        quantityStep: true,
+        _count: { select: { variants: { where: { isActive: true } } } }
+      }
+    }),
+    db.category.findMany({ where: { slug: { in: slugs } }, select: { id: true, slug: true } }),
+    db.categorySlugHistory.findMany({ where: { slug: { in: slugs } }, select: { slug: true, categoryId: true } })
+  ]);
+
+  const productsBySku = new Map(existingProducts.map((product) => [product.sku, product]));
+  const categoriesBySlug = new Map(categories.map((category) => [category.slug, category]));
+  // Spreadsheets exported before a category rename still carry its old slug
+  formerCategorySlugs.forEach(({ slug, categoryId }) => {
+    if (!categoriesBySlug.has(slug)) categoriesBySlug.set(slug, { id: categoryId, slug });
+  });
+
+  const seenSkus = new Set();
+
+  const plan = records.map(({ row, values }) => {
+    const { sku, categorySlug, data, errors } = parseProductRecord(values);
+    const warnings = [];
+    const existing = productsBySku.get(sku);
+    const action = existing ? 'update' : 'create';
+
+    if (!sku) {
+      errors.push('sku is required');
+    } else if (seenSkus.has(sku)) {
+      errors.push(`sku ${sku} appears more than once in the file`);
+    }
+    seenSkus.add(sku);
+
+    if (categorySlug) {
+      const category = categoriesBySlug.get(categorySlug);
+      if (category) {
+        data.categoryId = category.id;
+      } else {
+        errors.push(`Unknown category slug: ${categorySlug}`);
+      }
+    }
+
+    if (action === 'create') {
+      ['name', 'price'].forEach((column) => {
+        if (data[column] === undefined) errors.push(`${column} is required for new products`);
+      });
+      if (!categorySlug) errors.push('categorySlug is required for new products');
+    }
+
+    const unitError = validateUnitSettings({
+      unit: (existing && existing.unit) || 'PIECE',
+      minQuantity: existing ? existing.minQuantity : 1,
+      quantityStep: existing ? existing.quantityStep : 1,
+      ...data
+    });
+    if (unitError) errors.push(unitError);
+
+    // Variant stock is the source of truth once a product has variants
+    if (existing && existing._count.variants > 0 && data.stock !== undefined) {
+      delete data.stock;
+      warnings.push('stock is managed by the product variants and was ignored');
+    }
+
+    return { row, sku, action, productId: existing ? existing.id : null, data, errors, warnings };
+  });
+
+  // New products get unique slugs, also among themselves
+  const reserved = new Set();
+  for (const entry of plan) {
+    if (entry.action === 'create' && entry.data.name) {
+      entry.data.slug = await uniqueSlug(db, 'product', entry.data.name, { reserved });
+      reserved.add(entry.data.slug);
+    }
+  }
+
+  return plan;
+};
+
+module.exports = {
+  PRODUCT_CSV_COLUMNS,
+  MAX_IMPORT_ROWS,
+  productToCsvRow,
+  parseProductRecord,
+  planProductImport
+};
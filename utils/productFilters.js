@@ -0,0 +1,109 @@
+const dbConnection = require('./database');
+const { onSaleWhere } = require('./pricing');
+
+const prisma = dbConnection.getInstance();
+
+// Attribute filters shown in the storefront sidebar. Array fields match if any value overlaps.
+const FACET_FIELDS = {
+  fabric: 'scalar',
+  pattern: 'scalar',
+  occasion: 'scalar',
+  colors: 'array',
+  sizes: 'array'
+};
+
+// Accepts ?fabric=Linen,Cotton as well as ?fabric=Linen&fabric=Cotton
+const parseList = (value) => {
+  return [].concat(value || [])
+    .flatMap((item) => String(item).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+// `pricing` is the loaded pricing context; "on sale" depends on the sales running right now
+const parseProductFilters = (query, pricing) => ({
+  fabric: parseList(query.fabric),
+  pattern: parseList(query.pattern),
+  occasion: parseList(query.occasion),
+  colors: parseList(query.colors || query.color),
+  sizes: parseList(query.sizes || query.size),
+  inStock: query.inStock === 'true',
+  onSale: query.onSale === 'true',
+  onSaleWhere: onSaleWhere(prisma, pricing)
+});
+
+// Apply the attribute filters on top of `baseWhere`, optionally leaving one out
+// (facet counts for a field ignore that field's own selection)
+const applyProductFilters = (baseWhere, filters, { exclude } = {}) => {
+  const conditions = [];
+
+  for (const [field, type] of Object.entries(FACET_FIELDS)) {
+    if (field === exclude || filters[field].length === 0) continue;
+    conditions.push(type === 'array'
+      ? { [field]: { hasSome: filters[field] } }
+      : { [field]: { in: filters[field] } });
+  }
+
+  if (filters.inStock && exclude !== 'inStock') conditions.push({ stock: { gt: 0 } });
+  if (filters.onSale && exclude !== 'onSale') conditions.push(filters.onSaleWhere);
+
+  if (conditions.length === 0) {
+    return baseWhere;
+  }
+  return { ...baseWhere, AND: [...(baseWhere.AND || []), ...conditions] };
+};
+
+const sortFacetValues = (tally, selected) => {
+  return [...tally.entries()]
+    .map(([value, count]) => ({ value, count, selected: selected.includes(value) }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+};
+
+// Counts for every facet value under the current filters
+const getProductFacets = async (baseWhere, filters) => {
+  const facets = {};
+
+  await Promise.all(Object.entries(FACET_FIELDS).map(async ([field, type]) => {
+    const where = applyProductFilters(baseWhere, filters, { exclude: field });
+    const tally = new Map();
+
+    if (type === 'scalar') {
+      const groups = await prisma.product.groupBy({
+        by: [field],
+        where: { ...where, [field]: { not: null } },
+        _count: { _all: true }
+      });
+      groups.forEach((group) => tally.set(group[field], group._count._all));
+    } else {
+      // Prisma can't group by array elements, so tally them here
+      const rows = await prisma.product.findMany({ where, select: { [field]: true } });
+      rows.forEach((row) => {
+        new Set(row[field]).forEach((value) => tally.set(value, (tally.get(value) || 0) + 1));
+      });
+    }
+
+    facets[field] = sortFacetValues(tally, filters[field]);
+  }));
+
+  const [inStock, onSale] = await Promise.all([
+    prisma.product.count({
+      where: { ...applyProductFilters(baseWhere, filters, { exclude: 'inStock' }), stock: { gt: 0 } }
+    }),
+    prisma.product.count({
+      where: applyProductFilters(baseWhere, { ...filters, onSale: true })
+    })
+  ]);
+
+  facets.inStock = inStock;
+  facets.onSale = onSale;
+
+  return facets;
+};
+
+module.exports = {
+  FACET_FIELDS,
+  parseList,
+  parseProductFilters,
+  applyProductFilters,
+  getProductFacets
+};
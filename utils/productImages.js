@@ -0,0 +1,62 @@
+// Primary image first, then the admin-defined order
+const IMAGE_ORDER = [{ isPrimary: 'desc' }, { position: 'asc' }, { createdAt: 'asc' }];
+
+// Mirror the ProductImage rows into Product.images, which storefront queries read
+const syncProductImages = async (tx, productId) => {
+  const images = await tx.productImage.findMany({
+    where: { productId },
+    orderBy: IMAGE_ORDER,
+    select: { url: true }
+  });
+
+  await tx.product.update({
+    where: { id: productId },
+    data: { images: images.map((image) => image.url) }
+  });
+};
+
+// Make the first image primary when none is (e.g. after deleting the primary one)
+const ensurePrimaryImage = async (tx, productId) => {
+  const primary = await tx.productImage.findFirst({ where: { productId, isPrimary: true } });
+  if (primary) return;
+
+  const first = await tx.productImage.findFirst({
+    where: { productId },
+    orderBy: [{ position: 'asc' }, { createdAt: 'asc' }]
+  });
+  if (first) {
+    await tx.productImage.update({ where: { id: first.id }, data: { isPrimary: true } });
+  }
+};
+
+// Reconcile the image rows with a plain list of URLs (the `images` field on product
+// create/update). Known URLs keep their row, new ones are added as external links.
+// Returns the removed rows so the caller can delete their stored files.
+const replaceProductImageUrls = async (tx, productId, urls) => {
+  const existing = await tx.productImage.findMany({ where: { productId } });
+  const wanted = [...new Set(urls)];
+  const removed = existing.filter((image) => !wanted.includes(image.url));
+
+  if (removed.length > 0) {
+    await tx.productImage.deleteMany({ where: { id: { in: removed.map((image) => image.id) } } });
+  }
+
+  for (const [position, url] of wanted.entries()) {
+    const row = existing.find((image) => image.url === url);
+    if (row) {
+      await tx.productImage.update({ where: { id: row.id }, data: { position, isPrimary: position === 0 } });
+    } else {
+      await tx.productImage.create({ data: { productId, url, position, isPrimary: position === 0 } });
+    }
+  }
+
+  await syncProductImages(tx, productId);
+  return removed;
+};
+
+module.exports = {
+  IMAGE_ORDER,
+  syncProductImages,
+  ensurePrimaryImage,
+  replaceProductImageUrls
+};
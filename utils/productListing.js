@@ -0,0 +1,124 @@
+const dbConnection = require('./database');
+const { getDescendantIds } = require('./categories');
+const { searchProductIds, findProductsByRank } = require('./search');
+const { parseProductFilters, applyProductFilters, getProductFacets } = require('./productFilters');
+const { loadPricingContext, getEffectivePrice, withEffectivePrices } = require('./pricing');
+
+const prisma = dbConnection.getInstance();
+
+const PRODUCT_LIST_INCLUDE = {
+  category: { select: { name: true, slug: true } },
+  _count: { select: { reviews: true } }
+};
+
+// Product ids matching `where` with their effective rupee price. Price filters and
+// the price sort use the price customers see (sales included), which Prisma can't
+// compute, so they work from this list.
+const priceProducts = async (where, pricing) => {
+  const rows = await prisma.product.findMany({
+    where,
+    select: { id: true, price: true, salePrice: true, categoryId: true },
+    orderBy: { createdAt: 'desc' }
+  });
+  return rows.map((row) => ({ id: row.id, price: getEffectivePrice(row, pricing).price }));
+};
+
+// The storefront product list: category, price, search and attribute filters,
+// sorting, paging, facets and effective prices. Shared by GET /api/products and
+// collection pages. `scope` narrows the catalog (e.g. to a collection's members)
+// and `orderedIds` provides the default "position" order of a curated list.
+// `currency` adds display prices; price filters stay in rupees.
+const listProducts = async (query, { scope = null, orderedIds = null } = {}) => {
+  const {
+    page = 1,
+    limit = 12,
+    category,
+    search,
+    minPrice,
+    maxPrice,
+    sortBy,
+    sortOrder = 'desc',
+    featured
+  } = query;
+
+  const skip = (page - 1) * limit;
+  const baseWhere = { isActive: true, archivedAt: null };
+  if (scope) baseWhere.AND = [scope];
+
+  // A parent category also lists everything in its subcategories
+  if (category) baseWhere.categoryId = { in: await getDescendantIds(prisma, category) };
+  if (featured !== undefined) baseWhere.featured = featured === 'true';
+
+  // Searches are sorted by relevance and curated lists by position unless another sort is asked for
+  const rankedIds = search ? await searchProductIds(search) : null;
+  const orderField = sortBy || (rankedIds ? 'relevance' : orderedIds ? 'position' : 'createdAt');
+  if (rankedIds) baseWhere.id = { in: rankedIds };
+
+  // The pricing context serves the price filter and sort, the onSale filter and the
+  // page's prices, so sales are only loaded once
+  const pricing = await loadPricingContext(prisma, { currency: query.currency });
+
+  // Applied to baseWhere so facet counts stay within the price range too
+  const min = parseFloat(minPrice);
+  const max = parseFloat(maxPrice);
+  if (!Number.isNaN(min) || !Number.isNaN(max)) {
+    const inRange = (await priceProducts(baseWhere, pricing))
+      .filter(({ price }) => (Number.isNaN(min) || price >= min) && (Number.isNaN(max) || price <= max))
+      .map(({ id }) => id);
+    baseWhere.AND = [...(baseWhere.AND || []), { id: { in: inRange } }];
+  }
+
+  // Attribute filters (fabric, pattern, occasion, colors, sizes, inStock, onSale)
+  const filters = parseProductFilters(query, pricing);
+  const where = applyProductFilters(baseWhere, filters);
+
+  let rankOrder = null;
+  if (orderField === 'relevance' && rankedIds) rankOrder = rankedIds;
+  if (orderField === 'position' && orderedIds) rankOrder = orderedIds;
+  if (orderField === 'price') {
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    rankOrder = (await priceProducts(where, pricing))
+      .sort((a, b) => (a.price - b.price) * direction)
+      .map(({ id }) => id);
+  }
+
+  let products;
+  let total;
+
+  if (rankOrder) {
+    ({ products, total } = await findProductsByRank(rankOrder, where, {
+      skip: parseInt(skip),
+      take: parseInt(limit),
+      include: PRODUCT_LIST_INCLUDE
+    }));
+  } else {
+    [products, total] = await Promise.all([
+      prisma.product.findMany({
+        where,
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        orderBy: { [['relevance', 'position'].includes(orderField) ? 'createdAt' : orderField]: sortOrder },
+        include: PRODUCT_LIST_INCLUDE
+      }),
+      prisma.product.count({ where })
+    ]);
+  }
+
+  const facets = await getProductFacets(baseWhere, filters);
+
+  return {
+    products: withEffectivePrices(products, pricing),
+    facets,
+    pagination: {
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      limit: parseInt(limit)
+    }
+  };
+};
+
+module.exports = {
+  PRODUCT_LIST_INCLUDE,
+  listProducts
+};
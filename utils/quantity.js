@@ -0,0 +1,85 @@
+const { Prisma } = require('@prisma/client');
+
+// Units of measure and fractional quantities (fabric is sold by the metre)
+
+const UNITS = {
+  PIECE: { label: 'pc', fractional: false },
+  METRE: { label: 'm', fractional: true }
+};
+
+// Quantities are kept to 3 decimals so float maths can't drift (e.g. 0.1 + 0.2)
+const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Compared in whole thousandths so 0.3 m in steps of 0.1 m has no float remainder
+const toThousandths = (value) => Math.round(Number(value) * 1000);
+
+const isMultipleOf = (value, step) => {
+  const stepThousandths = toThousandths(step);
+  return stepThousandths > 0 && toThousandths(value) % stepThousandths === 0;
+};
+
+// Stock, quantities and quantity settings are DECIMAL columns, which Prisma returns
+// as Decimal objects (and JSON as strings). Responses pass records through here to
+// send them as plain numbers; 3 decimal places fit a number exactly enough.
+const decimalsToNumbers = (value) => {
+  if (Prisma.Decimal.isDecimal(value)) return value.toNumber();
+  if (Array.isArray(value)) return value.map(decimalsToNumbers);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, decimalsToNumbers(entry)]));
+  }
+  return value;
+};
+
+// Returns an error message for an invalid order quantity, or null if it's fine
+const validateQuantity = (product, quantity) => {
+  const unit = UNITS[product.unit] || UNITS.PIECE;
+
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    return `Invalid quantity for ${product.name}`;
+  }
+
+  if (!unit.fractional && !Number.isInteger(quantity)) {
+    return `${product.name} can only be ordered in whole pieces`;
+  }
+
+  if (quantity < Number(product.minQuantity)) {
+    return `Minimum order for ${product.name} is ${product.minQuantity} ${unit.label}`;
+  }
+
+  if (!isMultipleOf(quantity, product.quantityStep)) {
+    return `${product.name} is sold in steps of ${product.quantityStep} ${unit.label}`;
+  }
+
+  return null;
+};
+
+// Returns an error message for invalid unit settings on a product, or null
+const validateUnitSettings = ({ unit = 'PIECE', minQuantity = 1, quantityStep = 1 }) => {
+  const min = Number(minQuantity);
+  const step = Number(quantityStep);
+
+  if (!UNITS[unit]) {
+    return `Unit must be one of ${Object.keys(UNITS).join(', ')}`;
+  }
+  if (!(min > 0) || !(step > 0)) {
+    return 'Minimum quantity and quantity step must be greater than 0';
+  }
+  if (!UNITS[unit].fractional && (!Number.isInteger(min) || !Number.isInteger(step))) {
+    return 'Products sold by the piece need whole-number minimum quantity and step';
+  }
+  if (!isMultipleOf(min, step)) {
+    return 'Minimum quantity must be a multiple of the quantity step';
+  }
+  return null;
+};
+
+module.exports = {
+  UNITS,
+  roundQuantity,
+  roundAmount,
+  decimalsToNumbers,
+  validateQuantity,
+  validateUnitSettings
+};
@@ -0,0 +1,62 @@
+const dbConnection = require('./database');
+
+// express-rate-limit store backed by Postgres so counters survive restarts
+// and are shared between server instances
+class PrismaRateLimitStore {
+  constructor({ prefix = 'rl:' } = {}) {
+    this.prefix = prefix;
+    this.windowMs = 60 * 1000;
+    this.prisma = dbConnection.getInstance();
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  prefixKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async get(key) {
+    const hit = await this.prisma.rateLimitHit.findUnique({
+      where: { key: this.prefixKey(key) }
+    });
+
+    if (!hit || hit.resetAt <= new Date()) {
+      return undefined;
+    }
+
+    return { totalHits: hit.hits, resetTime: hit.resetAt };
+  }
+
+  async increment(key) {
+    const resetAt = new Date(Date.now() + this.windowMs);
+
+    // Single upsert so concurrent requests can't lose hits; an expired window starts over
+    const [hit] = await this.prisma.$queryRaw`
+      INSERT INTO rate_limit_hits ("key", "hits", "resetAt")
+      VALUES (${this.prefixKey(key)}, 1, ${resetAt})
+      ON CONFLICT ("key") DO UPDATE SET
+        "hits" = CASE WHEN rate_limit_hits."resetAt" <= NOW() THEN 1 ELSE rate_limit_hits."hits" + 1 END,
+        "resetAt" = CASE WHEN rate_limit_hits."resetAt" <= NOW() THEN EXCLUDED."resetAt" ELSE rate_limit_hits."resetAt" END
+      RETURNING "hits", "resetAt"
+    `;
+
+    return { totalHits: hit.hits, resetTime: hit.resetAt };
+  }
+
+  async decrement(key) {
+    await this.prisma.rateLimitHit.updateMany({
+      where: { key: this.prefixKey(key), hits: { gt: 0 } },
+      data: { hits: { decrement: 1 } }
+    });
+  }
+
+  async resetKey(key) {
+    await this.prisma.rateLimitHit.deleteMany({
+      where: { key: this.prefixKey(key) }
+    });
+  }
+}
+
+module.exports = PrismaRateLimitStore;
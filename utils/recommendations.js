@@ -0,0 +1,160 @@
+const dbConnection = require('./database');
+
+const prisma = dbConnection.getInstance();
+
+// How much each shared attribute counts towards "related"
+const RELATED_WEIGHTS = {
+  categoryId: 4,
+  fabric: 3,
+  pattern: 2,
+  occasion: 2
+};
+const SHARED_COLOR_WEIGHT = 0.5;
+const MAX_RELATED_CANDIDATES = 200;
+
+const COPURCHASE_MIN_ORDERS = parseInt(process.env.COPURCHASE_MIN_ORDERS) || 2;
+const COPURCHASE_LOOKBACK_DAYS = parseInt(process.env.COPURCHASE_LOOKBACK_DAYS) || 365;
+const MAX_PAIRS_PER_PRODUCT = 20;
+
+const PRODUCT_INCLUDE = {
+  category: { select: { name: true, slug: true } },
+  _count: { select: { reviews: true } }
+};
+
+const scoreRelated = (product, candidate) => {
+  let score = 0;
+  for (const [field, weight] of Object.entries(RELATED_WEIGHTS)) {
+    if (product[field] && candidate[field] === product[field]) score += weight;
+  }
+  const sharedColors = candidate.colors.filter((color) => product.colors.includes(color)).length;
+  return score + Math.min(sharedColors * SHARED_COLOR_WEIGHT, 1);
+};
+
+// Storefront products sharing the most of category, fabric, pattern and occasion
+const findRelatedProducts = async (product, { limit = 8 } = {}) => {
+  const matches = Object.keys(RELATED_WEIGHTS)
+    .filter((field) => product[field])
+    .map((field) => ({ [field]: product[field] }));
+
+  const candidates = await prisma.product.findMany({
+    where: { id: { not: product.id }, isActive: true, archivedAt: null, OR: matches },
+    orderBy: [{ featured: 'desc' }, { createdAt: 'desc' }],
+    take: MAX_RELATED_CANDIDATES,
+    include: PRODUCT_INCLUDE
+  });
+
+  return candidates
+    .map((candidate) => ({ candidate, score: scoreRelated(product, candidate) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ candidate, score }) => ({ ...candidate, relevance: score }));
+};
+
+// Products most often ordered together with `productId`, from the precomputed pairs
+const getFrequentlyBoughtTogether = async (productId, { limit = 4 } = {}) => {
+  const pairs = await prisma.coPurchase.findMany({
+    where: { productId, relatedProduct: { isActive: true, archivedAt: null } },
+    orderBy: [{ orders: 'desc' }, { score: 'desc' }],
+    take: limit,
+    include: { relatedProduct: { include: PRODUCT_INCLUDE } }
+  });
+
+  return pairs.map((pair) => ({
+    ...pair.relatedProduct,
+    coPurchase: { orders: pair.orders, score: pair.score }
+  }));
+};
+
+// Rebuild the co-purchase table from order history. Counts distinct orders that
+// contain both products, ignoring cancelled and refunded ones, and keeps the top
+// pairs per product. Returns the number of pairs stored.
+const refreshCoPurchases = async () => {
+  const since = new Date(Date.now() - COPURCHASE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+  const [, pairs] = await prisma.$transaction([
+    prisma.$executeRaw`DELETE FROM product_co_purchases`,
+    prisma.$executeRaw`
+      INSERT INTO product_co_purchases ("productId", "relatedProductId", "orders", "score", "updatedAt")
+      SELECT ranked."productId", ranked."relatedProductId", ranked."orders", ranked."score", NOW()
+      FROM (
+        SELECT pairs."productId", pairs."relatedProductId", pairs."orders",
+          pairs."orders"::float / totals."orders" AS "score",
+          ROW_NUMBER() OVER (
+            PARTITION BY pairs."productId"
+            ORDER BY pairs."orders" DESC, pairs."relatedProductId"
+          ) AS position
+        FROM (
+          SELECT a."productId", b."productId" AS "relatedProductId", COUNT(DISTINCT a."orderId")::int AS "orders"
+          FROM order_items a
+          JOIN order_items b ON b."orderId" = a."orderId" AND b."productId" <> a."productId"
+          JOIN orders o ON o."id" = a."orderId"
+          WHERE o."status" NOT IN ('CANCELLED', 'REFUNDED') AND o."createdAt" >= ${since}
+          GROUP BY a."productId", b."productId"
+          HAVING COUNT(DISTINCT a."orderId") >= ${COPURCHASE_MIN_ORDERS}
+        ) pairs
+        JOIN (
+          SELECT i."productId", COUNT(DISTINCT i."orderId")::int AS "orders"
+          FROM order_items i
+          JOIN orders o ON o."id" = i."orderId"
+          WHERE o."status" NOT IN ('CANCELLED', 'REFUNDED') AND o."createdAt" >= ${since}
+          GROUP BY i."productId"
+        ) totals ON totals."productId" = pairs."productId"
+      ) ranked
+      WHERE ranked.position <= ${MAX_PAIRS_PER_PRODUCT}
+    `
+  ]);
+
+  return pairs;
+};
+
+let refreshTimer = null;
+let refreshing = false;
+
+// Run a refresh unless one is already in progress; resolves to the pair count,
+// or null if another refresh was running
+const runCoPurchaseRefresh = async () => {
+  if (refreshing) {
+    return null;
+  }
+
+  refreshing = true;
+  try {
+    return await refreshCoPurchases();
+  } finally {
+    refreshing = false;
+  }
+};
+
+const refreshInBackground = () => {
+  return runCoPurchaseRefresh()
+    .then((pairs) => {
+      if (pairs !== null) console.log(`🔁 Co-purchase pairs refreshed: ${pairs}`);
+    })
+    .catch((error) => console.error('Co-purchase refresh error:', error));
+};
+
+// Refresh now and then every COPURCHASE_REFRESH_MINUTES (default 6 hours, 0 disables)
+const startCoPurchaseRefreshJob = () => {
+  const minutes = parseInt(process.env.COPURCHASE_REFRESH_MINUTES ?? '360');
+  if (refreshTimer || !(minutes > 0)) {
+    return;
+  }
+
+  refreshInBackground();
+  refreshTimer = setInterval(refreshInBackground, minutes * 60 * 1000);
+  refreshTimer.unref();
+};
+
+const stopCoPurchaseRefreshJob = () => {
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+};
+
+module.exports = {
+  findRelatedProducts,
+  getFrequentlyBoughtTogether,
+  refreshCoPurchases,
+  runCoPurchaseRefresh,
+  startCoPurchaseRefreshJob,
+  stopCoPurchaseRefreshJob
+};
@@ -0,0 +1,214 @@
+const { Prisma } = require('@prisma/client');
+
+// Product revision history. Every admin change to a product records which fields
+// changed, their old and new values, the resulting state and the acting admin.
+
+const TRACKED_FIELDS = [
+  'name',
+  'slug',
+  'sku',
+  'description',
+  'price',
+  'salePrice',
+  'stock',
+  'unit',
+  'minQuantity',
+  'quantityStep',
+  'images',
+  'colors',
+  'sizes',
+  'fabric',
+  'pattern',
+  'occasion',
+  'categoryId',
+  'featured',
+  'isActive',
+  'archivedAt'
+];
+
+// Stock moves with orders and images with their stored files, and archiving has
+// its own endpoints, so reverting leaves these alone
+const NON_REVERTIBLE_FIELDS = ['stock', 'images', 'archivedAt'];
+
+// Variant fields recorded under `variants` on the product's revision. Like sale
+// schedules (`sale`) and fixed currency prices (`currencyPrices`) they are part of
+// the audit trail but not of the snapshot, so reverting doesn't touch them.
+const VARIANT_FIELDS = ['sku', 'size', 'color', 'price', 'stock', 'isActive'];
+const SALE_FIELDS = ['name', 'startsAt', 'endsAt', 'salePrice', 'discountPercent', 'isActive'];
+
+const REVISION_SELECT = Object.fromEntries(TRACKED_FIELDS.map((field) => [field, true]));
+const VARIANT_SELECT = Object.fromEntries(['id', ...VARIANT_FIELDS].map((field) => [field, true]));
+
+const toJsonValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (Prisma.Decimal.isDecimal(value)) return value.toNumber();
+  return value === undefined ? null : value;
+};
+
+const snapshotOf = (product) => {
+  return Object.fromEntries(TRACKED_FIELDS.map((field) => [field, toJsonValue(product[field])]));
+};
+
+// { field: { from, to } } for every listed field that differs (`before` may be null)
+const diffFields = (fields, before, after) => {
+  const changes = {};
+
+  fields.forEach((field) => {
+    const from = before ? toJsonValue(before[field]) : null;
+    const to = after ? toJsonValue(after[field]) : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+
+  return changes;
+};
+
+const diffProduct = (before, after) => diffFields(TRACKED_FIELDS, before, after);
+
+// Per-variant field changes between two lists of variant states
+const diffVariants = (before, after) => {
+  const previous = new Map(before.map((variant) => [variant.id, variant]));
+  const next = new Map(after.map((variant) => [variant.id, variant]));
+  const ids = [...new Set([...previous.keys(), ...next.keys()])];
+
+  return ids
+    .map((id) => {
+      const variant = next.get(id) || previous.get(id);
+      const changes = diffFields(VARIANT_FIELDS, previous.get(id), next.get(id));
+      return { id, sku: variant.sku, size: variant.size, color: variant.color, changes };
+    })
+    .filter((variant) => Object.keys(variant.changes).length > 0);
+};
+
+const loadProductState = (tx, productId) => {
+  return tx.product.findUnique({ where: { id: productId }, select: REVISION_SELECT });
+};
+
+const loadProductStates = (tx, productIds) => {
+  return tx.product.findMany({ where: { id: { in: productIds } }, select: { id: true, ...REVISION_SELECT } });
+};
+
+const loadVariantStates = (tx, productId) => {
+  return tx.productVariant.findMany({ where: { productId }, select: VARIANT_SELECT });
+};
+
+// Revision row for a change, or null if nothing changed. `related` adds changes to
+// things hanging off the product, e.g. { variants: [...] } or { sale: { from, to } }.
+const buildRevision = ({ productId, before, after, action, actorId, related = {} }) => {
+  const changes = { ...diffProduct(before, after), ...related };
+  const fields = Object.keys(changes);
+  if (fields.length === 0) {
+    return null;
+  }
+
+  return {
+    productId,
+    action,
+    fields,
+    changes,
+    snapshot: snapshotOf(after),
+    actorId: actorId || null
+  };
+};
+
+// Store a revision if anything changed. `before` is null for newly created products.
+const recordProductRevision = async (tx, options) => {
+  const data = buildRevision(options);
+  return data ? tx.productRevision.create({ data }) : null;
+};
+
+// Record one revision per product for a change that touched many at once.
+// `before` and `after` are product states (with ids); `related` maps a product id
+// to its extra changes. Returns how many revisions were written.
+const recordProductRevisions = async (tx, { before = [], after, action, actorId, related = new Map() }) => {
+  const previous = new Map(before.map((product) => [product.id, product]));
+  const rows = after
+    .map((product) => buildRevision({
+      productId: product.id,
+      before: previous.get(product.id) || null,
+      after: product,
+      action,
+      actorId,
+      related: related.get(product.id)
+    }))
+    .filter(Boolean);
+
+  if (rows.length > 0) {
+    await tx.productRevision.createMany({ data: rows });
+  }
+  return rows.length;
+};
+
+// Record a change to something hanging off the product (see VARIANT_FIELDS) that
+// leaves the product row itself alone
+const recordRelatedChange = async (tx, { productId, action, actorId, related }) => {
+  const state = await loadProductState(tx, productId);
+  if (!state) {
+    return null;
+  }
+  return recordProductRevision(tx, { productId, before: state, after: state, action, actorId, related });
+};
+
+// A sale schedule was created (`before` null), changed or deleted (`after` null).
+// Only product sales are recorded: a category sale can reach thousands of products
+// and is already its own record, so it doesn't fan out into product revisions.
+const recordSaleChange = async (tx, { before, after, action, actorId }) => {
+  const sale = after || before;
+  if (!sale.productId) {
+    return null;
+  }
+
+  const changes = diffFields(SALE_FIELDS, before, after);
+  if (Object.keys(changes).length === 0) {
+    return null;
+  }
+  return recordRelatedChange(tx, {
+    productId: sale.productId,
+    action,
+    actorId,
+    related: { sale: { id: sale.id, name: sale.name, changes } }
+  });
+};
+
+// Run `mutate` inside the caller's transaction and record what it changed on the
+// product. With `variants: true` changes to the product's variants are recorded too.
+const trackProductChange = async (tx, { productId, action, actorId, variants = false }, mutate) => {
+  const before = await loadProductState(tx, productId);
+  const variantsBefore = variants ? await loadVariantStates(tx, productId) : [];
+  const result = await mutate();
+  const after = await loadProductState(tx, productId);
+
+  if (after) {
+    const related = {};
+    if (variants) {
+      const variantChanges = diffVariants(variantsBefore, await loadVariantStates(tx, productId));
+      if (variantChanges.length > 0) related.variants = variantChanges;
+    }
+    await recordProductRevision(tx, { productId, before, after, action, actorId, related });
+  }
+  return result;
+};
+
+// Fields to write to bring a product back to a revision's state
+const revertData = (revision) => {
+  const data = {};
+  TRACKED_FIELDS
+    .filter((field) => !NON_REVERTIBLE_FIELDS.includes(field))
+    .forEach((field) => {
+      if (revision.snapshot[field] !== undefined) data[field] = revision.snapshot[field];
+    });
+  return data;
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  recordProductRevision,
+  recordProductRevisions,
+  recordRelatedChange,
+  recordSaleChange,
+  trackProductChange,
+  loadProductState,
+  loadProductStates,
+  revertData
+};
@@ -0,0 +1,79 @@
+const { Prisma } = require('@prisma/client');
+const dbConnection = require('./database');
+
+const prisma = dbConnection.getInstance();
+
+const MAX_SEARCH_RESULTS = 500;
+
+// Match `%`, `_` and `\` literally in ILIKE patterns
+const escapeLike = (term) => term.replace(/[\\%_]/g, '\\$&');
+
+// Weighted document: name (A) > sku/fabric/pattern/occasion (B) > category (C) > description (D)
+const SEARCH_DOCUMENT = Prisma.sql`
+  setweight(to_tsvector('english', coalesce(p."name", '')), 'A') ||
+  setweight(to_tsvector('english', concat_ws(' ', p."sku", p."fabric", p."pattern", p."occasion")), 'B') ||
+  setweight(to_tsvector('english', coalesce(c."name", '')), 'C') ||
+  setweight(to_tsvector('english', coalesce(p."description", '')), 'D')
+`;
+
+// Ids of storefront products matching `search`, best match first. Combines stemmed
+// full-text ranking with trigram similarity so "linnen shirt" still finds "Linen Shirt
+// Fabric". Hidden products are left out here so they don't use up the result cap.
+const searchProductIds = async (search) => {
+  const term = search.trim();
+  if (!term) {
+    return [];
+  }
+  const likeTerm = escapeLike(term);
+
+  const rows = await prisma.$queryRaw`
+    SELECT p."id",
+      ts_rank_cd(${SEARCH_DOCUMENT}, websearch_to_tsquery('english', ${term}))
+        + similarity(p."name", ${term}) * 0.5
+        + CASE WHEN p."sku" ILIKE ${likeTerm} THEN 1 ELSE 0 END AS rank
+    FROM products p
+    JOIN categories c ON c."id" = p."categoryId"
+    WHERE p."isActive" AND p."archivedAt" IS NULL
+      AND c."isActive" AND c."archivedAt" IS NULL
+      AND (
+        ${SEARCH_DOCUMENT} @@ websearch_to_tsquery('english', ${term})
+        OR p."name" % ${term}
+        OR ${term} <% p."name"
+        OR p."sku" ILIKE ${`${likeTerm}%`}
+        OR concat_ws(' ', p."fabric", p."pattern", p."occasion") ILIKE ${`%${likeTerm}%`}
+      )
+    ORDER BY rank DESC, p."createdAt" DESC
+    LIMIT ${MAX_SEARCH_RESULTS}
+  `;
+
+  return rows.map((row) => row.id);
+};
+
+// Page through `where` in the order of `rankedIds` (Prisma can't ORDER BY an id list)
+const findProductsByRank = async (rankedIds, where, { skip, take, include }) => {
+  const filtered = await prisma.product.findMany({
+    // AND rather than spreading: `where` may already restrict ids (e.g. a search inside a collection)
+    where: { AND: [where, { id: { in: rankedIds } }] },
+    select: { id: true }
+  });
+  const filteredIds = new Set(filtered.map((product) => product.id));
+  const orderedIds = rankedIds.filter((id) => filteredIds.has(id));
+  const pageIds = orderedIds.slice(skip, skip + take);
+
+  const pageProducts = await prisma.product.findMany({
+    where: { id: { in: pageIds } },
+    include
+  });
+  const byId = new Map(pageProducts.map((product) => [product.id, product]));
+
+  return {
+    products: pageIds.map((id) => byId.get(id)).filter(Boolean),
+    total: orderedIds.length
+  };
+};
+
+module.exports = {
+  escapeLike,
+  searchProductIds,
+  findProductsByRank
+};
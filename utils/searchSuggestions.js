@@ -0,0 +1,193 @@
+const dbConnection = require('./database');
+const { escapeLike } = require('./search');
+
+const prisma = dbConnection.getInstance();
+
+const MIN_SUGGEST_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+
+// Each suggestion source gets this long; a slow one is left out rather than holding up the rest
+const SUGGEST_BUDGET_MS = parseInt(process.env.SEARCH_SUGGEST_BUDGET_MS || '250', 10);
+
+// Popular queries come from an in-memory list so typing doesn't aggregate the log on every keystroke
+const POPULAR_QUERY_DAYS = 30;
+const POPULAR_QUERY_POOL = 500;
+const POPULAR_QUERY_TTL_MS = 10 * 60 * 1000;
+// Searches are shown to other visitors only once enough of them have typed the same thing
+const POPULAR_QUERY_MIN_COUNT = parseInt(process.env.SEARCH_POPULAR_MIN_COUNT || '5', 10);
+
+// Filter and sort changes re-run the same search, so requests carrying them aren't logged
+const REFINEMENT_PARAMS = [
+  'category', 'minPrice', 'maxPrice', 'sortBy', 'sortOrder', 'featured',
+  'fabric', 'pattern', 'occasion', 'colors', 'color', 'sizes', 'size', 'inStock', 'onSale'
+];
+
+let popularQueries = null;
+let popularLoadedAt = 0;
+let popularRefresh = null;
+let pruneTimer = null;
+
+// Lower case, single-spaced and bounded, so "Silk  Saree" and "silk saree" count as one query
+const normalizeQuery = (query) =>
+  String(query || '').trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_QUERY_LENGTH);
+
+// Record a storefront search and how many products it found. Never blocks or fails the search itself.
+const logSearchQuery = (query, resultCount) => {
+  const normalized = normalizeQuery(query);
+  if (!normalized) {
+    return;
+  }
+
+  prisma.searchQuery.create({ data: { query: normalized, resultCount } })
+    .catch((error) => console.error('Search query log error:', error));
+};
+
+// True for the first page of a search as typed, not for paging through or refining it
+const isNewSearch = (query) => {
+  const { search, page = 1 } = query;
+  if (!search || parseInt(page) !== 1) {
+    return false;
+  }
+  return !REFINEMENT_PARAMS.some((param) => query[param] !== undefined && query[param] !== '');
+};
+
+// Delete logged searches older than the retention period
+const pruneSearchQueries = async (days) => {
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const { count } = await prisma.searchQuery.deleteMany({ where: { createdAt: { lt: cutoff } } });
+  return count;
+};
+
+const pruneInBackground = (days) => {
+  return pruneSearchQueries(days)
+    .then((count) => {
+      if (count > 0) console.log(`🧹 Old search queries pruned: ${count}`);
+    })
+    .catch((error) => console.error('Search query prune error:', error));
+};
+
+// Prune now and then daily, keeping SEARCH_QUERY_RETENTION_DAYS of searches (default 90, 0 keeps everything)
+const startSearchQueryPruneJob = () => {
+  const days = parseInt(process.env.SEARCH_QUERY_RETENTION_DAYS ?? '90');
+  if (pruneTimer || !(days > 0)) {
+    return;
+  }
+
+  pruneInBackground(days);
+  pruneTimer = setInterval(() => pruneInBackground(days), 24 * 60 * 60 * 1000);
+  pruneTimer.unref();
+};
+
+const stopSearchQueryPruneJob = () => {
+  clearInterval(pruneTimer);
+  pruneTimer = null;
+};
+
+const refreshPopularQueries = async () => {
+  const since = new Date(Date.now() - POPULAR_QUERY_DAYS * 24 * 60 * 60 * 1000);
+  const groups = await prisma.searchQuery.groupBy({
+    by: ['query'],
+    where: { createdAt: { gte: since }, resultCount: { gt: 0 } },
+    _count: { _all: true },
+    having: { query: { _count: { gte: POPULAR_QUERY_MIN_COUNT } } },
+    orderBy: { _count: { query: 'desc' } },
+    take: POPULAR_QUERY_POOL
+  });
+
+  popularQueries = groups.map((group) => ({ query: group.query, count: group._count._all }));
+  popularLoadedAt = Date.now();
+  return popularQueries;
+};
+
+// Serve the cached list and refresh it in the background once it is stale
+const getPopularQueries = async () => {
+  if (!popularRefresh && Date.now() - popularLoadedAt > POPULAR_QUERY_TTL_MS) {
+    popularRefresh = refreshPopularQueries()
+      .catch((error) => {
+        console.error('Popular search queries refresh error:', error);
+        return popularQueries || [];
+      })
+      .finally(() => {
+        popularRefresh = null;
+      });
+  }
+
+  return popularQueries || popularRefresh;
+};
+
+// Resolve to `fallback` if `promise` takes longer than the budget (or fails)
+const withinBudget = (promise, fallback) => {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(fallback), SUGGEST_BUDGET_MS);
+  });
+  const guarded = promise.catch((error) => {
+    console.error('Search suggestion error:', error);
+    return fallback;
+  });
+
+  return Promise.race([guarded, timeout]).finally(() => clearTimeout(timer));
+};
+
+const suggestProducts = (term, limit) => prisma.$queryRaw`
+  SELECT p."id", p."name", p."slug", p."images"[1] AS image
+  FROM products p
+  WHERE p."isActive" = true AND p."archivedAt" IS NULL
+    AND (p."name" ILIKE ${`%${escapeLike(term)}%`} OR p."name" % ${term})
+  ORDER BY p."name" ILIKE ${`${escapeLike(term)}%`} DESC, similarity(p."name", ${term}) DESC, p."name" ASC
+  LIMIT ${limit}
+`;
+
+const suggestCategories = (term, limit) => prisma.category.findMany({
+  where: { isActive: true, archivedAt: null, name: { contains: term, mode: 'insensitive' } },
+  select: { id: true, name: true, slug: true },
+  orderBy: { name: 'asc' },
+  take: limit
+});
+
+const suggestFabrics = async (term, limit) => {
+  const groups = await prisma.product.groupBy({
+    by: ['fabric'],
+    where: { isActive: true, archivedAt: null, fabric: { contains: term, mode: 'insensitive' } },
+    _count: { _all: true },
+    orderBy: { _count: { fabric: 'desc' } },
+    take: limit
+  });
+
+  return groups.map((group) => ({ value: group.fabric, count: group._count._all }));
+};
+
+const suggestQueries = async (term, limit) => {
+  const queries = await getPopularQueries();
+  return queries
+    .filter((entry) => entry.query.startsWith(term) && entry.query !== term)
+    .slice(0, limit);
+};
+
+// Type-ahead suggestions for `query`: matching products, categories, fabrics and
+// popular past searches. All sources run in parallel within the latency budget.
+const getSearchSuggestions = async (query, { limit = 5 } = {}) => {
+  const term = normalizeQuery(query);
+  if (term.length < MIN_SUGGEST_LENGTH) {
+    return { query: term, products: [], categories: [], fabrics: [], queries: [] };
+  }
+
+  const [products, categories, fabrics, queries] = await Promise.all([
+    withinBudget(suggestProducts(term, limit), []),
+    withinBudget(suggestCategories(term, limit), []),
+    withinBudget(suggestFabrics(term, limit), []),
+    withinBudget(suggestQueries(term, limit), [])
+  ]);
+
+  return { query: term, products, categories, fabrics, queries };
+};
+
+module.exports = {
+  normalizeQuery,
+  isNewSearch,
+  logSearchQuery,
+  pruneSearchQueries,
+  startSearchQueryPruneJob,
+  stopSearchQueryPruneJob,
+  getSearchSuggestions
+};
@@ -0,0 +1,174 @@
+const jwt = require('jsonwebtoken');
+const dbConnection = require('./database');
+const { generateToken, hashToken } = require('./tokens');
+
+const prisma = dbConnection.getInstance();
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 15;
+
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { userId: user.id, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Start a new session and issue its first access/refresh token pair.
+// `twoFactorVerified` marks sessions that passed the admin TOTP step.
+const createSession = async (user, req, { twoFactorVerified = false } = {}) => {
+  const { token: refreshToken, tokenHash } = generateToken(48);
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: tokenHash,
+      userAgent: req.get('user-agent') || null,
+      ipAddress: req.ip || null,
+      twoFactorVerified,
+      expiresAt: refreshExpiry()
+    }
+  });
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+// Exchange a refresh token for a new pair. Returns null if the token is unusable.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: tokenHash },
+    include: { user: { select: { id: true, role: true, isActive: true } } }
+  });
+
+  if (!session) {
+    // A rotated-out token being replayed means it leaked; kill that session
+    await prisma.session.updateMany({
+      where: { previousRefreshTokenHash: tokenHash, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+    return null;
+  }
+
+  if (session.revokedAt || session.expiresAt < new Date() || !session.user.isActive) {
+    return null;
+  }
+
+  const { token: nextRefreshToken, tokenHash: nextTokenHash } = generateToken(48);
+
+  // Guard on the current hash so two concurrent refreshes can't both succeed
+  const rotated = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: nextTokenHash,
+      previousRefreshTokenHash: tokenHash,
+      lastUsedAt: new Date(),
+      ipAddress: req.ip || session.ipAddress,
+      expiresAt: refreshExpiry()
+    }
+  });
+
+  if (rotated.count === 0) {
+    return null;
+  }
+
+  return {
+    token: signAccessToken(session.user, session.id),
+    refreshToken: nextRefreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+// Start an audited, short-lived "login as customer" session for support staff.
+// No refresh token is issued; the admin starts a new one when it expires.
+const createImpersonationSession = async ({ admin, customer, reason, req }) => {
+  const impersonation = await prisma.impersonationSession.create({
+    data: {
+      adminId: admin.id,
+      customerId: customer.id,
+      reason,
+      ipAddress: req.ip || null,
+      expiresAt: new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000)
+    }
+  });
+
+  const token = jwt.sign(
+    { userId: customer.id, role: customer.role, imp: impersonation.id, impersonatorId: admin.id },
+    process.env.JWT_SECRET,
+    { expiresIn: `${IMPERSONATION_TTL_MINUTES}m` }
+  );
+
+  return { impersonation, token };
+};
+
+const endImpersonationSession = (impersonationId) => {
+  return prisma.impersonationSession.updateMany({
+    where: { id: impersonationId, endedAt: null },
+    data: { endedAt: new Date() }
+  });
+};
+
+const revokeSession = (sessionId, userId) => {
+  return prisma.session.updateMany({
+    where: { id: sessionId, userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+};
+
+// Revoke every session for a user, optionally keeping the caller's own
+const revokeUserSessions = (userId, { exceptSessionId } = {}) => {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) where.id = { not: exceptSessionId };
+
+  return prisma.session.updateMany({
+    where,
+    data: { revokedAt: new Date() }
+  });
+};
+
+// Revoke staff sessions that were started without a second factor
+const revokeUnverifiedStaffSessions = () => {
+  return prisma.session.updateMany({
+    where: {
+      revokedAt: null,
+      twoFactorVerified: false,
+      user: { role: { in: ['ADMIN', 'SUPER_ADMIN'] } }
+    },
+    data: { revokedAt: new Date() }
+  });
+};
+
+const listActiveSessions = (userId) => {
+  return prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: {
+      id: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastUsedAt: true,
+      expiresAt: true
+    },
+    orderBy: { lastUsedAt: 'desc' }
+  });
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  createImpersonationSession,
+  endImpersonationSession,
+  revokeSession,
+  revokeUserSessions,
+  revokeUnverifiedStaffSessions,
+  listActiveSessions
+};
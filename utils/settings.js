@@ -0,0 +1,28 @@
+const dbConnection = require('./database');
+
+const prisma = dbConnection.getInstance();
+
+// Store-wide settings editable at runtime, with their defaults
+const DEFAULT_SETTINGS = {
+  requireAdminTwoFactor: false
+};
+
+const getSetting = async (key) => {
+  const setting = await prisma.setting.findUnique({ where: { key } });
+  return setting ? setting.value : DEFAULT_SETTINGS[key];
+};
+
+const setSetting = async (key, value) => {
+  const setting = await prisma.setting.upsert({
+    where: { key },
+    update: { value },
+    create: { key, value }
+  });
+  return setting.value;
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getSetting,
+  setSetting
+};
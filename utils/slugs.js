@@ -0,0 +1,82 @@
+// Slug generation with collision suffixes (linen-shirt, linen-shirt-2, ...) and a
+// history of former slugs so renamed products and categories keep their old links.
+
+const SLUG_MODELS = {
+  product: { history: 'productSlugHistory', owner: 'productId' },
+  category: { history: 'categorySlugHistory', owner: 'categoryId' },
+  // Collections don't keep former slugs
+  collection: { history: null, owner: 'collectionId' }
+};
+
+const slugify = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+
+// First free slug for `name`. Former slugs of other records count as taken so
+// their redirects keep working. `reserved` holds slugs already handed out in
+// the same batch (e.g. a CSV import).
+const uniqueSlug = async (db, model, name, { excludeId, reserved = new Set() } = {}) => {
+  const { history, owner } = SLUG_MODELS[model];
+  const base = slugify(name) || model;
+  const matches = { OR: [{ slug: base }, { slug: { startsWith: `${base}-` } }] };
+
+  const [current, former] = await Promise.all([
+    db[model].findMany({
+      where: excludeId ? { ...matches, id: { not: excludeId } } : matches,
+      select: { slug: true }
+    }),
+    history ? db[history].findMany({
+      where: excludeId ? { ...matches, [owner]: { not: excludeId } } : matches,
+      select: { slug: true }
+    }) : []
+  ]);
+
+  const taken = new Set([...current, ...former].map((record) => record.slug));
+  reserved.forEach((slug) => taken.add(slug));
+
+  let slug = base;
+  for (let suffix = 2; taken.has(slug); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+};
+
+// True if another record uses `slug`, now or formerly
+const isSlugTaken = async (db, model, slug, excludeId) => {
+  const { history, owner } = SLUG_MODELS[model];
+  const [current, former] = await Promise.all([
+    db[model].findFirst({ where: { slug, id: { not: excludeId } }, select: { id: true } }),
+    db[history].findFirst({ where: { slug, [owner]: { not: excludeId } }, select: { id: true } })
+  ]);
+  return Boolean(current || former);
+};
+
+// Record the old slug when a record gets a new one. Renaming back to a former
+// slug drops it from the history again.
+const recordSlugChange = async (tx, model, id, oldSlug, newSlug) => {
+  if (!oldSlug || oldSlug === newSlug) return;
+  const { history, owner } = SLUG_MODELS[model];
+
+  await tx[history].deleteMany({ where: { slug: newSlug, [owner]: id } });
+  await tx[history].upsert({
+    where: { slug: oldSlug },
+    create: { slug: oldSlug, [owner]: id },
+    update: { [owner]: id }
+  });
+};
+
+// Current slug for a former one, or null
+const resolveFormerSlug = async (db, model, slug) => {
+  const { history } = SLUG_MODELS[model];
+  const entry = await db[history].findUnique({
+    where: { slug },
+    include: { [model]: { select: { slug: true } } }
+  });
+  return entry ? entry[model].slug : null;
+};
+
+module.exports = {
+  slugify,
+  uniqueSlug,
+  isSlugTaken,
+  recordSlugChange,
+  resolveFormerSlug
+};
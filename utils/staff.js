@@ -0,0 +1,22 @@
+// True if removing this user's SUPER_ADMIN access would leave nobody able to manage staff.
+// Pass the transaction client so the check and the change happen atomically.
+const isLastActiveSuperAdmin = async (tx, userId) => {
+  const user = await tx.user.findUnique({
+    where: { id: userId },
+    select: { role: true, isActive: true }
+  });
+
+  if (!user || user.role !== 'SUPER_ADMIN' || !user.isActive) {
+    return false;
+  }
+
+  const others = await tx.user.count({
+    where: { role: 'SUPER_ADMIN', isActive: true, id: { not: userId } }
+  });
+
+  return others === 0;
+};
+
+module.exports = {
+  isLastActiveSuperAdmin
+};
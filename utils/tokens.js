@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Hash a token before storing it so a database leak doesn't expose usable links
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a random URL-safe token and its stored hash
+const generateToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+};
+
+// Email verification links are signed with their own secret so they can never
+// be replayed as access tokens
+const emailVerificationSecret = () => {
+  return process.env.EMAIL_VERIFICATION_SECRET || `${process.env.JWT_SECRET}:email-verification`;
+};
+
+const signEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { userId: user.id, email: user.email },
+    emailVerificationSecret(),
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h' }
+  );
+};
+
+// Returns the decoded payload, or null if the token is invalid or expired
+const verifyEmailVerificationToken = (token) => {
+  try {
+    return jwt.verify(token, emailVerificationSecret());
+  } catch (error) {
+    return null;
+  }
+};
+
+// Short-lived token proving the password step of a two-step admin login passed
+const twoFactorChallengeSecret = () => `${process.env.JWT_SECRET}:two-factor-challenge`;
+
+const signTwoFactorChallengeToken = (user) => {
+  return jwt.sign(
+    { userId: user.id },
+    twoFactorChallengeSecret(),
+    { expiresIn: '10m' }
+  );
+};
+
+const verifyTwoFactorChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, twoFactorChallengeSecret());
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  hashToken,
+  generateToken,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  signTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken
+};